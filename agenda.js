@@ -0,0 +1,217 @@
+// Weekly check-in agenda: what changed since the previous meeting and what needs discussing,
+// as data, Markdown and a standalone printable page.
+
+function addDaysISO(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+function daysBetween(a, b) {
+  const [y1, m1, d1] = a.split("-").map(Number);
+  const [y2, m2, d2] = b.split("-").map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 864e5);
+}
+// Log timestamps are UTC; the agenda works in local days
+function localDay(at) {
+  const d = new Date(at);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+const BLOCKED_AHEAD_DAYS = 14; // blocked work further out can wait for a later check-in
+
+/**
+ * Agenda for the meeting on `meetingISO`; the review period runs from the day after `previousISO`
+ * (or a week earlier when there is no previous meeting) to the meeting day.
+ * items: decorated open/completed items ({ __status, __blocked_by }); logs come from overlays.learning.
+ */
+export function buildAgenda({ meetingISO, previousISO = null, items = [], completionLog = [], moveLog = [], findItem = () => null }) {
+  const since = previousISO || addDaysISO(meetingISO, -7);
+  const weekEnd = addDaysISO(meetingISO, 6);
+  const inPeriod = (e) => {
+    const day = localDay(e?.at);
+    return day > since && day <= meetingISO;
+  };
+  const open = items.filter((t) => t.__status === "open");
+  const byDue = (a, b) => (a.due_date || a.start_date || "9999").localeCompare(b.due_date || b.start_date || "9999");
+
+  // Last completion event per item inside the period; reopened items drop out
+  const lastState = new Map();
+  for (const e of completionLog) if (inPeriod(e)) lastState.set(e.id, e);
+  const done = Array.from(lastState.values())
+    .filter((e) => e.completed)
+    .map((e) => ({ item: findItem(e.id) || { id: e.id, title: e.id }, at: e.at }))
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+  const overdue = new Map();
+  for (const t of open.filter((t) => t.due_date && t.due_date < meetingISO).sort(byDue)) {
+    const k = t.owner_id || "";
+    if (!overdue.has(k)) overdue.set(k, []);
+    overdue.get(k).push({ item: t, days: daysBetween(t.due_date, meetingISO) });
+  }
+
+  const dueThisWeek = open
+    .filter((t) => {
+      const d = t.due_date || t.start_date;
+      return d && d >= meetingISO && d <= weekEnd;
+    })
+    .sort(byDue);
+
+  const blockedUntil = addDaysISO(meetingISO, BLOCKED_AHEAD_DAYS);
+  const blocked = open
+    .filter((t) => t.__blocked_by?.length && (t.due_date || t.start_date || "9999") <= blockedUntil)
+    .sort(byDue);
+
+  // Slips: net move per item across the period, only when the due date ended up later
+  const moves = new Map();
+  for (const e of moveLog) {
+    if (!inPeriod(e)) continue;
+    const m = moves.get(e.id);
+    if (m) {
+      m.to = e.to;
+      m.count++;
+      if (e.reason) m.reasons.add(e.reason);
+    } else {
+      moves.set(e.id, { id: e.id, from: e.from, to: e.to, count: 1, reasons: new Set(e.reason ? [e.reason] : []) });
+    }
+  }
+  const slips = Array.from(moves.values())
+    .map((m) => {
+      const from = m.from?.due_date || m.from?.start_date;
+      const to = m.to?.due_date || m.to?.start_date;
+      return { item: findItem(m.id) || { id: m.id, title: m.id }, from, to, days: from && to ? daysBetween(from, to) : 0, count: m.count, reasons: Array.from(m.reasons) };
+    })
+    .filter((s) => s.days > 0)
+    .sort((a, b) => b.days - a.days);
+
+  return {
+    meetingISO,
+    since,
+    done,
+    overdue: Array.from(overdue.entries()).map(([owner_id, list]) => ({ owner_id, items: list })),
+    dueThisWeek,
+    blocked,
+    slips
+  };
+}
+
+const REASONS = {
+  defer_1d: "deferred",
+  cascade: "moved with a dependency",
+  timeline_drag: "timeline",
+  edit_move_today: "moved to today",
+  longpress_today: "moved to today"
+};
+
+function reasonText(reasons) {
+  return reasons.map((r) => REASONS[r] || r.replace(/_/g, " ")).join(", ");
+}
+
+/** Markdown version, for pasting into minutes or a shared doc. */
+export function agendaMarkdown(agenda, { title = "Weekly Check-in", meta = {}, ownerLabel = (id) => id || "Unassigned" } = {}) {
+  const lines = [];
+  const clean = (s) => String(s || "").replace(/\|/g, "/").replace(/\s+/g, " ").trim();
+  const item = (t) => `${clean(t.title)} (${t.id})`;
+  const section = (heading, arr, line) => {
+    lines.push(`## ${heading} (${arr.length})`, "");
+    if (!arr.length) lines.push("_None._");
+    arr.forEach((x) => lines.push(line(x)));
+    lines.push("");
+  };
+
+  lines.push(`# ${title} — ${agenda.meetingISO}`, "");
+  lines.push(`Review period ${addDaysISO(agenda.since, 1)} → ${agenda.meetingISO}${meta.version ? ` · plan v${meta.version}` : ""}.`, "");
+
+  section("Done since last check-in", agenda.done, (d) => `- [x] ${item(d.item)} — ${ownerLabel(d.item.owner_id)}`);
+
+  const overdueCount = agenda.overdue.reduce((n, g) => n + g.items.length, 0);
+  lines.push(`## Overdue (${overdueCount})`, "");
+  if (!agenda.overdue.length) lines.push("_None._", "");
+  for (const g of agenda.overdue) {
+    lines.push(`### ${ownerLabel(g.owner_id)}`, "");
+    g.items.forEach((o) => lines.push(`- ${item(o.item)} — due ${o.item.due_date} (${o.days}d late)`));
+    lines.push("");
+  }
+
+  section("Due this week", agenda.dueThisWeek, (t) => `- [ ] ${item(t)} — ${ownerLabel(t.owner_id)}, ${t.due_date ? `due ${t.due_date}` : `starts ${t.start_date}`}`);
+  section("Blocked", agenda.blocked, (t) => `- ${item(t)} — ${ownerLabel(t.owner_id)}, waits on ${t.__blocked_by.join(", ")}`);
+  section(
+    "Recent slips",
+    agenda.slips,
+    (s) => `- ${item(s.item)} — ${s.from} → ${s.to} (+${s.days}d${s.count > 1 ? `, moved ${s.count}×` : ""}${s.reasons.length ? `; ${reasonText(s.reasons)}` : ""})`
+  );
+
+  return lines.join("\n");
+}
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+/** Agenda sections as HTML (used for the in-app preview and inside the printable page). */
+export function agendaSectionsHtml(agenda, { ownerLabel = (id) => id || "Unassigned" } = {}) {
+  const item = (t) => `<strong>${esc(t.title)}</strong> <span class="id">${esc(t.id)}</span>`;
+  const list = (heading, arr, row) =>
+    `<section><h2>${esc(heading)} <span class="count">${arr.length}</span></h2>${
+      arr.length ? `<ul>${arr.map((x) => `<li>${row(x)}</li>`).join("")}</ul>` : `<p class="none">None.</p>`
+    }</section>`;
+
+  const overdueCount = agenda.overdue.reduce((n, g) => n + g.items.length, 0);
+  const overdue = `<section><h2>Overdue <span class="count">${overdueCount}</span></h2>${
+    agenda.overdue.length
+      ? agenda.overdue
+          .map(
+            (g) =>
+              `<h3>${esc(ownerLabel(g.owner_id))}</h3><ul>${g.items
+                .map((o) => `<li>${item(o.item)} — due ${esc(o.item.due_date)} <span class="late">${o.days}d late</span></li>`)
+                .join("")}</ul>`
+          )
+          .join("")
+      : `<p class="none">None.</p>`
+  }</section>`;
+
+  return [
+    list("Done since last check-in", agenda.done, (d) => `✓ ${item(d.item)} — ${esc(ownerLabel(d.item.owner_id))}`),
+    overdue,
+    list("Due this week", agenda.dueThisWeek, (t) => `☐ ${item(t)} — ${esc(ownerLabel(t.owner_id))}, ${t.due_date ? `due ${esc(t.due_date)}` : `starts ${esc(t.start_date)}`}`),
+    list("Blocked", agenda.blocked, (t) => `${item(t)} — ${esc(ownerLabel(t.owner_id))}, waits on ${esc(t.__blocked_by.join(", "))}`),
+    list(
+      "Recent slips",
+      agenda.slips,
+      (s) => `${item(s.item)} — ${esc(s.from)} → ${esc(s.to)} <span class="late">+${s.days}d</span>${s.count > 1 ? ` · moved ${s.count}×` : ""}${
+        s.reasons.length ? ` · ${esc(reasonText(s.reasons))}` : ""
+      }`
+    )
+  ].join("");
+}
+
+/** Standalone page with print styles; opened in a new window and printed from there. */
+export function agendaHtml(agenda, { title = "Weekly Check-in", meta = {}, ownerLabel } = {}) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)} — ${esc(agenda.meetingISO)}</title>
+<style>
+  body{font:14px/1.45 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#111;max-width:760px;margin:32px auto;padding:0 20px}
+  h1{font-size:22px;margin:0 0 4px}
+  .sub{color:#555;margin:0 0 20px}
+  h2{font-size:16px;border-bottom:1px solid #ccc;padding-bottom:4px;margin:22px 0 8px}
+  h3{font-size:14px;margin:12px 0 4px}
+  ul{margin:0;padding-left:20px}
+  li{margin:3px 0}
+  .count{color:#777;font-weight:400}
+  .id{color:#777;font-size:12px}
+  .late{color:#b42318}
+  .none{color:#777;font-style:italic;margin:0}
+  .notes{border:1px dashed #bbb;min-height:90px;margin-top:24px;padding:8px;color:#777}
+  @media print{body{margin:0;max-width:none}section{break-inside:avoid}}
+</style>
+</head>
+<body>
+<h1>${esc(title)} — ${esc(agenda.meetingISO)}</h1>
+<p class="sub">Review period ${esc(addDaysISO(agenda.since, 1))} → ${esc(agenda.meetingISO)}${meta.version ? ` · plan v${esc(meta.version)}` : ""}</p>
+${agendaSectionsHtml(agenda, { ownerLabel })}
+<div class="notes">Notes &amp; actions</div>
+</body>
+</html>`;
+}
@@ -13,11 +13,12 @@ function isCompleted(overlays, item) {
   return status === "completed";
 }
 
-async function tryLoadReference() {
-  // Optional file: ./ai/reference.json
+async function tryLoadReference(url) {
+  // Optional file, one per workspace (default: ./ai/reference.json)
   // User can later drop in AS&T GPT playbook/workplans/budgets as structured JSON.
+  if (!url) return null;
   try {
-    const res = await fetch("./ai/reference.json", { cache: "no-store" });
+    const res = await fetch(url, { cache: "no-store" });
     if (!res.ok) return null;
     const json = await res.json();
     return json;
@@ -26,7 +27,7 @@ async function tryLoadReference() {
   }
 }
 
-export async function buildAiContext(merged, overlays, { origin = "unknown" } = {}) {
+export async function buildAiContext(merged, overlays, { origin = "unknown", referenceUrl = "./ai/reference.json" } = {}) {
   const tasks = Array.isArray(merged?.tasks) ? merged.tasks : [];
   const events = Array.isArray(merged?.events) ? merged.events : [];
   const learning = overlays?.learning || {};
@@ -36,6 +37,7 @@ export async function buildAiContext(merged, overlays, { origin = "unknown" } =
     title: x.title || "",
     pillar: x.pillar || "",
     owner_id: x.owner_id || "",
+    support_owner_ids: Array.isArray(x.support_owner_ids) ? x.support_owner_ids : [],
     start_date: x.start_date || null,
     due_date: x.due_date || null,
     priority: x.priority ?? null,
@@ -48,7 +50,7 @@ export async function buildAiContext(merged, overlays, { origin = "unknown" } =
   const doneRecent = tasks.filter(t => isCompleted(overlays, t)).slice(0, 60).map(pick);
   const evOpen = events.filter(e => !isCompleted(overlays, e)).slice(0, 60).map(pick);
 
-  const reference = await tryLoadReference();
+  const reference = await tryLoadReference(referenceUrl);
 
   return {
     origin,
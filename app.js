@@ -6,9 +6,42 @@ import {
   getAiReadyState
 } from "./ai/providers.js";
 import { buildAiContext } from "./ai/context.js";
-
-const STORAGE_KEY = "ast_task_overrides_v1";
-const OVERLAYS_VERSION = 1;
+import {
+  expandRecurrence,
+  nextOccurrenceDate,
+  isRuleEnabled
+} from "./recurrence.js";
+import {
+  depsOf,
+  indexById,
+  openBlockers,
+  downstreamOf,
+  wouldCreateCycle,
+  cascadeShifts
+} from "./dependencies.js";
+import { clusterPipelines } from "./clusters.js";
+import { validateBase } from "./validate.js";
+import { donorStreams, donorReportMarkdown } from "./donors.js";
+import { defaultOverlays, readOverlays, describeOverlayReport, OVERLAYS_VERSION } from "./overlays.js";
+import { mergeOverlays, rebaseOverlays, resolveConflicts } from "./merge.js";
+import { openStorage } from "./storage.js";
+import { publishBase, publishedOverlays } from "./publish.js";
+import { createSyncClient } from "./sync.js";
+import { buildCalendar, parseCalendar, calendarItems, matchOwner } from "./ics.js";
+import { CSV_FIELDS, DATE_FORMATS, toCsv, parseCsv, guessMapping, detectDateFormat, rowsToItems } from "./csv.js";
+import { buildAgenda, agendaMarkdown, agendaSectionsHtml, agendaHtml } from "./agenda.js";
+import { DEFAULT_WORKSPACE_ID, normalizeWorkspaces, activeWorkspace, storageKeyFor, slugify } from "./workspaces.js";
+
+const PREFS_KEY = "noobi_prefs_v1";
+// Fixed for the page's lifetime: switching workspace saves the choice and reloads
+const WORKSPACE = activeWorkspace(loadPrefs());
+const STORAGE_KEY = storageKeyFor(WORKSPACE.id);
+// Last overlays shared with teammates (exported, replaced or merged): the common ancestor for merges
+const MERGE_BASE_KEY = `${STORAGE_KEY}_merge_base`;
+const RECURRENCE_AHEAD_DAYS = 90;
+const UNDO_LIMIT = 50;
+const SYNC_INTERVAL_MS = 60 * 1000;
+const SYNC_DEBOUNCE_MS = 2000;
 
 /* ---------- Utilities ---------- */
 function todayLocalISO() {
@@ -52,9 +85,18 @@ function startOfMonth(d) {
 function endOfMonth(d) {
   return new Date(d.getFullYear(), d.getMonth() + 1, 0, 12, 0, 0, 0);
 }
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
 function safeText(s) {
   return (s ?? "").toString();
 }
+// For values placed in innerHTML templates (text and attribute values)
+function esc(s) {
+  return safeText(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
 function uniq(arr) {
   return Array.from(new Set(arr));
 }
@@ -64,6 +106,19 @@ function normalizeType(t) {
   if (v === "event" || v === "meeting" || v === "task") return v;
   return v;
 }
+const ENERGY_LEVELS = ["low", "medium", "high"];
+function normalizeEnergy(e) {
+  const v = safeText(e).toLowerCase().trim();
+  if (ENERGY_LEVELS.includes(v)) return v;
+  if (v === "med") return "medium";
+  const n = Number(v);
+  if (Number.isFinite(n) && n >= 1 && n <= 3) return ENERGY_LEVELS[n - 1];
+  return "";
+}
+function energyNum(e) {
+  const i = ENERGY_LEVELS.indexOf(normalizeEnergy(e));
+  return i === -1 ? 999 : i;
+}
 function priorityNum(p) {
   const n = Number(p);
   if (!Number.isFinite(n)) return 999;
@@ -80,61 +135,309 @@ function dlFile(filename, content, mime = "application/json") {
   a.remove();
   URL.revokeObjectURL(url);
 }
-function toast(msg) {
+// `action` = { label, run } adds a button to the toast; an undo action (see undoAction) also names its step
+function toast(msg, action = null) {
   const el = document.getElementById("toast");
-  el.textContent = msg;
+  if (action?.step) action.step.label = msg;
+  toast._action = action;
+  const text = document.createElement("span");
+  text.textContent = safeText(msg);
+  el.replaceChildren(text);
+  if (action) {
+    const btn = document.createElement("button");
+    btn.className = "toast__action";
+    btn.type = "button";
+    btn.dataset.action = "";
+    btn.textContent = safeText(action.label);
+    el.appendChild(btn);
+  }
   el.hidden = false;
   clearTimeout(toast._t);
-  toast._t = setTimeout(() => (el.hidden = true), 2200);
+  toast._t = setTimeout(() => (el.hidden = true), action ? 6000 : 2200);
 }
 
 /* ---------- Overlays ---------- */
-function defaultOverlays() {
-  return {
-    version: OVERLAYS_VERSION,
-    updated_at: new Date().toISOString(),
-    deletions: [],
-    task_overrides: {},
-    new_tasks: [],
-    recurrence_overrides: {},
-    learning: {
-      completion_log: [],
-      move_log: [],
-      stats: { moves: 0, completes: 0 }
-    }
-  };
-}
-function loadOverlays() {
+let overlayLoadReport = null; // set when stored overlays needed migration or repair
+let storage = null; // backend from openStorage(), opened in boot()
+
+async function loadOverlays() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const { raw, source } = await storage.load();
     if (!raw) return defaultOverlays();
-    const obj = JSON.parse(raw);
-    return {
-      ...defaultOverlays(),
-      ...obj,
-      deletions: Array.isArray(obj.deletions) ? obj.deletions : [],
-      new_tasks: Array.isArray(obj.new_tasks) ? obj.new_tasks : [],
-      task_overrides:
-        obj.task_overrides && typeof obj.task_overrides === "object"
-          ? obj.task_overrides
-          : {},
-      recurrence_overrides:
-        obj.recurrence_overrides && typeof obj.recurrence_overrides === "object"
-          ? obj.recurrence_overrides
-          : {},
-      learning:
-        obj.learning && typeof obj.learning === "object"
-          ? { ...defaultOverlays().learning, ...obj.learning }
-          : defaultOverlays().learning
-    };
+    const { ok, overlays, report } = readOverlays(raw);
+    if (!ok) {
+      // Keep the unreadable copy so nothing is lost
+      storage.keepUnreadable(raw);
+    } else if (report.steps.length || source !== storage.kind) {
+      await storage.replace(overlays);
+      if (source !== storage.kind) storage.dropLegacy();
+    }
+    if (!ok || report.steps.length || report.warnings.length) overlayLoadReport = report;
+    return overlays;
   } catch {
     return defaultOverlays();
   }
 }
-function saveOverlays(overlays) {
+// Returns the undo step it recorded, for the toast that reports the change
+function saveOverlays(overlays, { record = true } = {}) {
   overlays.updated_at = new Date().toISOString();
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(overlays));
+  stampOverrideBase(overlays);
+  const step = recordUndoStep(overlays, record);
+  storage.save(overlays).catch((e) => {
+    console.error(e);
+    toast("Could not save changes");
+  });
   updateStorageInfo(overlays);
+  if (!sync.applying) scheduleSync();
+  return step;
+}
+function loadMergeBase() {
+  try {
+    const raw = localStorage.getItem(MERGE_BASE_KEY);
+    if (!raw) return null;
+    const { ok, overlays } = readOverlays(JSON.parse(raw));
+    return ok ? overlays : null;
+  } catch {
+    return null;
+  }
+}
+function saveMergeBase(overlays) {
+  try {
+    // Logs are unioned without an ancestor, so the snapshot leaves them out
+    const learning = { ...overlays.learning, completion_log: [], move_log: [], change_log: [] };
+    localStorage.setItem(MERGE_BASE_KEY, JSON.stringify({ ...overlays, learning }));
+  } catch {
+    // Storage full: merges fall back to timestamps only
+  }
+}
+
+/* ---------- Undo / redo ---------- */
+// Every saveOverlays() call is one step; an AI batch saves once, so it undoes as a whole.
+const undoStack = {
+  past: [], // { snapshot, label }
+  future: [],
+  current: null // JSON of the overlays as last saved
+};
+
+// Returns the recorded step (null when nothing was recorded)
+function recordUndoStep(overlays, record) {
+  const json = JSON.stringify(overlays);
+  let step = null;
+  if (record && undoStack.current !== null) {
+    step = { snapshot: undoStack.current, label: "" };
+    undoStack.past.push(step);
+    if (undoStack.past.length > UNDO_LIMIT) undoStack.past.shift();
+    undoStack.future = [];
+  }
+  undoStack.current = json;
+  return step;
+}
+
+// Toast action undoing `step`, as long as it is still the latest change
+function undoAction(step) {
+  if (!step) return null;
+  return {
+    label: "Undo",
+    step,
+    run: () => (undoStack.past[undoStack.past.length - 1] === step ? undo() : toast("Newer changes since; undo those first"))
+  };
+}
+
+// Carry a change made outside the history (a sync pull) into every step. A step that changed the
+// same fields can't be replayed cleanly; it goes, along with the steps recorded before it.
+function rebaseUndo(overlays) {
+  if (undoStack.current === null) return;
+  const before = JSON.parse(undoStack.current);
+  const rebase = (steps) => {
+    // Nearest step last in both stacks
+    for (let i = steps.length - 1; i >= 0; i--) {
+      const { overlays: next, conflicts } = rebaseOverlays(before, overlays, JSON.parse(steps[i].snapshot));
+      if (conflicts.length) {
+        steps.splice(0, i + 1);
+        return;
+      }
+      steps[i].snapshot = JSON.stringify(next);
+    }
+  };
+  rebase(undoStack.past);
+  rebase(undoStack.future);
+}
+
+function restoreSnapshot(json) {
+  state.overlays = JSON.parse(json);
+  saveOverlays(state.overlays, { record: false });
+  state.merged = mergeData(state.base, state.overlays);
+  render();
+}
+
+function undo() {
+  const step = undoStack.past.pop();
+  if (!step) return toast("Nothing to undo");
+  undoStack.future.push({ snapshot: undoStack.current, label: step.label });
+  restoreSnapshot(step.snapshot);
+  toast(step.label ? `Undid: ${step.label}` : "Undid last change");
+}
+
+function redo() {
+  const step = undoStack.future.pop();
+  if (!step) return toast("Nothing to redo");
+  undoStack.past.push({ snapshot: undoStack.current, label: step.label });
+  restoreSnapshot(step.snapshot);
+  toast(step.label ? `Redid: ${step.label}` : "Redid change");
+}
+
+/* ---------- Sync ---------- */
+const sync = {
+  client: null,
+  busy: false,
+  applying: false, // saving a pulled result must not trigger another sync
+  timer: null,
+  status: "off"
+};
+
+// Each workspace syncs with its own server; the default one keeps its settings at the top level of prefs
+function syncSettings() {
+  const src = WORKSPACE.id === DEFAULT_WORKSPACE_ID ? state.prefs : state.prefs.workspaceSync?.[WORKSPACE.id] || {};
+  return { syncEnabled: !!src.syncEnabled, syncEndpoint: src.syncEndpoint || "", syncToken: src.syncToken || "" };
+}
+
+function setupSync() {
+  const p = syncSettings();
+  sync.client = p.syncEnabled && p.syncEndpoint ? createSyncClient({ endpoint: p.syncEndpoint, token: p.syncToken, key: STORAGE_KEY }) : null;
+  setSyncStatus(sync.client ? "idle" : "off");
+}
+
+function setSyncStatus(status, detail = "") {
+  sync.status = status;
+  const el = document.getElementById("syncStatus");
+  if (!el) return;
+  el.hidden = status === "off";
+  const last = sync.client?.lastSyncAt();
+  const labels = {
+    idle: last ? `Synced ${new Date(last).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` : "Not synced yet",
+    syncing: "Syncing…",
+    offline: `Offline${detail ? ` · ${detail} pending` : ""}`,
+    conflict: "Sync conflict",
+    error: "Sync error"
+  };
+  el.textContent = labels[status] || "";
+  el.dataset.state = status;
+  el.title = status === "error" && detail ? detail : "Sync now";
+}
+
+function scheduleSync(delay = SYNC_DEBOUNCE_MS) {
+  if (!sync.client) return;
+  clearTimeout(sync.timer);
+  sync.timer = setTimeout(runSync, delay);
+}
+
+// A pulled/merged result replaces local overlays; undo steps are rebased so they keep the pulled edits
+function applySyncedOverlays(overlays) {
+  rebaseUndo(overlays);
+  sync.applying = true;
+  state.overlays = overlays;
+  saveOverlays(state.overlays, { record: false });
+  sync.applying = false;
+  state.merged = mergeData(state.base, state.overlays);
+  render();
+}
+
+async function pushSync(attempt = 0) {
+  const res = await sync.client.push(state.overlays);
+  if (res.status === "stale" && attempt < 3) return runSync(attempt + 1);
+  if (res.status === "ok") setSyncStatus("idle");
+  else setSyncStatus(res.status, res.status === "offline" ? sync.client.pending(state.overlays) : res.error);
+}
+
+async function runSync(attempt = 0) {
+  if (!sync.client || sync.status === "conflict") return;
+  if (sync.busy && !attempt) return scheduleSync();
+  sync.busy = true;
+  setSyncStatus("syncing");
+  try {
+    const stamp = state.overlays.updated_at;
+    const res = await sync.client.run(state.overlays);
+    if (res.status === "offline" || res.status === "error") {
+      setSyncStatus(res.status, res.status === "offline" ? res.pending : res.error);
+      return;
+    }
+    // Local edits landed while we were waiting: start over with them
+    if (state.overlays.updated_at !== stamp) {
+      scheduleSync(0);
+      return;
+    }
+    if (res.status === "conflict") {
+      setSyncStatus("conflict");
+      state.pendingSync = {
+        merged: res.merged,
+        conflicts: res.conflicts,
+        onApply(resolved) {
+          res.commit();
+          applySyncedOverlays(resolved);
+          setSyncStatus("syncing");
+          pushSync();
+        },
+        onCancel() {
+          setSyncStatus("idle");
+        }
+      };
+      // Don't take over the sheet while an import merge is being resolved; the status button reopens it
+      if (!document.getElementById("conflictSheet").hidden) return toast("Sync conflict — tap the sync status to resolve");
+      showConflicts(res.conflicts, "sync");
+      toast("Sync: teammates changed the same fields — pick what to keep");
+      return;
+    }
+    if (res.changed) applySyncedOverlays(res.overlays);
+    res.commit();
+    await pushSync(attempt);
+  } catch (e) {
+    console.error(e);
+    setSyncStatus("error", String(e.message || e));
+  } finally {
+    sync.busy = false;
+  }
+}
+
+function saveSyncSettings() {
+  const next = {
+    syncEnabled: document.getElementById("prefSyncEnabled").checked,
+    syncEndpoint: document.getElementById("prefSyncEndpoint").value.trim(),
+    syncToken: document.getElementById("prefSyncToken").value
+  };
+  if (WORKSPACE.id === DEFAULT_WORKSPACE_ID) Object.assign(state.prefs, next);
+  else state.prefs.workspaceSync = { ...state.prefs.workspaceSync, [WORKSPACE.id]: next };
+  savePrefs(state.prefs);
+  if (sync.client && next.syncEndpoint !== sync.endpoint) sync.client.reset();
+  sync.endpoint = next.syncEndpoint;
+  setupSync();
+  toast(sync.client ? "Sync on" : "Sync off");
+  scheduleSync(0);
+}
+
+/* ---------- Local prefs (device-only, not shared via overrides.json) ---------- */
+function defaultPrefs() {
+  return {
+    cascade: false,
+    trashDays: 30, // purge trash entries older than this; 0 keeps them forever
+    syncEnabled: false,
+    syncEndpoint: "",
+    syncToken: "",
+    workspace: DEFAULT_WORKSPACE_ID,
+    workspaces: [], // [{ id, name, base_url, reference_url }]; the default workspace is implied
+    workspaceSync: {} // sync settings of the other workspaces, by id
+  };
+}
+function loadPrefs() {
+  try {
+    const raw = localStorage.getItem(PREFS_KEY);
+    if (!raw) return defaultPrefs();
+    return { ...defaultPrefs(), ...JSON.parse(raw) };
+  } catch {
+    return defaultPrefs();
+  }
+}
+function savePrefs(prefs) {
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
 }
 
 /* ---------- Merge ---------- */
@@ -157,26 +460,53 @@ function mergeData(base, overlays) {
   for (const nt of newTasks) {
     if (!nt || !nt.id) continue;
     if (deletions.has(nt.id)) continue;
-    appended.push(nt);
+    appended.push(overrides[nt.id] ? { ...nt, ...overrides[nt.id] } : nt);
   }
   tasks = tasks.concat(appended);
 
-  return { ...base, tasks, events, recurrence_rules: recRules, __overlays: overlays };
+  // Recurring occurrences: from the start of this week/month (whichever is earlier) to ~3 months ahead
+  const today = parseISODate(todayLocalISO());
+  const wStart = startOfWeek(today);
+  const mStart = startOfMonth(today);
+  const occurrences = expandRecurrence(recRules, overlays.recurrence_overrides || {}, {
+    fromISO: isoFromDate(wStart < mStart ? wStart : mStart),
+    toISO: isoFromDate(addDays(today, RECURRENCE_AHEAD_DAYS)),
+    anchorISO: base.meta?.last_updated || null
+  });
+
+  return { ...base, tasks, events, recurrence_rules: recRules, occurrences, __overlays: overlays };
 }
 
 /* ---------- State ---------- */
 const state = {
   base: null,
-  overlays: loadOverlays(),
+  diagnostics: [], // validation issues for the loaded tasks.json
+  overlays: defaultOverlays(), // replaced by loadOverlays() in boot()
+  prefs: loadPrefs(),
   merged: null,
   view: "today",
   zen: false,
   actionId: null,
   pendingAiPayload: null, // {summary, ops[]}
+  pendingCascade: null, // {main, rows[], doneMsg}
+  pendingImport: null, // validated overlays waiting in the import sheet
+  pendingIcs: null, // { name, rows[] } parsed from an .ics file, waiting in the preview sheet
+  pendingCsv: null, // { name, headers, rows, mapping, dateFormat, existing, include } in the CSV wizard
+  agendaRuleId: null, // check-in rule the agenda sheet is showing
+  pendingMerge: null, // { merged, conflicts } from an overrides.json import, waiting in the conflict sheet
+  pendingSync: null, // { merged, conflicts, onApply, onCancel } from a sync round, kept apart from imports
+  conflictFor: null, // "import" | "sync": which of the two the conflict sheet shows
+  timelineGroup: "cluster",
+  clusterStage: null, // "A:2" = stage 3 of cluster A expanded
+  donorOpen: null, // donor stream whose tasks are expanded
+  editSubtasks: [], // checklist draft for the open edit sheet
+  editHadSubtasks: false,
   filters: {
     pillar: "any",
     owner_id: "any",
+    ownerScope: "support", // "support" = primary + support owners, "primary" = primary only
     month: "any",
+    energy: "any",
     status: "any",
     q: ""
   },
@@ -184,9 +514,9 @@ const state = {
 };
 
 /* ---------- Base truth fetch ---------- */
-async function loadBase() {
-  const res = await fetch("./tasks.json", { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to load tasks.json (${res.status})`);
+async function loadBase(url = WORKSPACE.base_url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load ${url} (${res.status})`);
   return await res.json();
 }
 
@@ -202,20 +532,41 @@ function pillarsList(base) {
   const codes = uniq(ts.map((t) => t?.pillar).filter(Boolean)).sort();
   return codes.map((code) => ({ code, name: code }));
 }
-function ownerName(ownerId) {
-  const base = state.merged || state.base || {};
+function ownerName(ownerId, base = state.merged || state.base || {}) {
   const owners = ownersList(base);
   const found = owners.find((o) => o.owner_id === ownerId || o.id === ownerId);
   return found ? found.name || ownerId : ownerId || "—";
 }
-function pillarLabel(pillarCode) {
-  const base = state.merged || state.base || {};
+function supportOwnerIds(t) {
+  return Array.isArray(t?.support_owner_ids) ? t.support_owner_ids.filter((id) => id && id !== t.owner_id) : [];
+}
+// Subtasks arrive as plain strings (AI / base) or {text, done} objects (saved from the edit sheet)
+function normalizeSubtasks(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((s) => {
+      if (typeof s === "string") return { text: s, done: false };
+      if (s && typeof s === "object") return { text: safeText(s.text || s.title), done: !!s.done };
+      return null;
+    })
+    .filter((s) => s && s.text.trim());
+}
+function pillarLabel(pillarCode, base = state.merged || state.base || {}) {
   const pillars = pillarsList(base);
   const found = pillars.find(
     (p) => p.code === pillarCode || p.id === pillarCode || p.pillar === pillarCode
   );
   return found ? found.name || found.label || pillarCode : pillarCode || "—";
 }
+function findItem(id) {
+  const merged = state.merged || {};
+  const all = (merged.tasks || []).concat(merged.events || [], merged.occurrences || []);
+  return all.find((x) => x.id === id) || null;
+}
+function clusterLabel(code) {
+  const desc = state.base?.meta?.clusters?.[code];
+  if (!desc) return code ? `Cluster ${code}` : "No cluster";
+  return `${code} · ${desc.split(":")[0].trim()}`;
+}
 function getStatus(t) {
   const patch = state.overlays.task_overrides?.[t.id] || {};
   const status = patch.status || t.status || "";
@@ -224,6 +575,13 @@ function getStatus(t) {
 function isDone(t) {
   return getStatus(t) === "completed";
 }
+function taskIndex() {
+  const merged = state.merged || {};
+  return indexById((merged.tasks || []).concat(merged.events || []));
+}
+function blockersOf(t, byId = taskIndex()) {
+  return openBlockers(t, byId, isDone);
+}
 function isOverdue(t, today) {
   if (isDone(t)) return false;
   const due = parseISODate(t.due_date);
@@ -231,8 +589,9 @@ function isOverdue(t, today) {
   return due < today;
 }
 function matchesFilters(item) {
-  const f = state.filters;
-
+  return itemMatches(item, state.filters);
+}
+function itemMatches(item, f) {
   const q = (f.q || "").trim().toLowerCase();
   if (q) {
     const hay = `${item.title || ""} ${item.notes || ""} ${item.id || ""}`.toLowerCase();
@@ -240,13 +599,19 @@ function matchesFilters(item) {
   }
 
   if (f.pillar !== "any" && (item.pillar || "") !== f.pillar) return false;
-  if (f.owner_id !== "any" && (item.owner_id || "") !== f.owner_id) return false;
+  if (f.owner_id !== "any") {
+    const primary = (item.owner_id || "") === f.owner_id;
+    const support = f.ownerScope !== "primary" && supportOwnerIds(item).includes(f.owner_id);
+    if (!primary && !support) return false;
+  }
 
   if (f.month !== "any") {
     const d = (item.due_date || item.start_date || "");
     if (!d.startsWith(f.month)) return false;
   }
 
+  if (f.energy && f.energy !== "any" && normalizeEnergy(item.energy) !== f.energy) return false;
+
   if (f.status !== "any") {
     if (f.status === "completed" && item.__status !== "completed") return false;
     if (f.status === "open" && item.__status !== "open") return false;
@@ -259,6 +624,7 @@ function sortItems(items) {
   const today = parseISODate(todayLocalISO());
   const getKey = (it) => {
     if (state.sort === "priority") return priorityNum(it.priority);
+    if (state.sort === "energy") return energyNum(it.energy);
     const d =
       parseISODate(state.sort === "start" ? it.start_date : it.due_date) ||
       parseISODate(state.sort === "start" ? it.due_date : it.start_date);
@@ -281,16 +647,18 @@ function sortItems(items) {
 
 /* ---------- View building ---------- */
 function decorateTasks(tasks) {
+  const byId = taskIndex();
   return tasks.map((t) => ({
     ...t,
     __status: isDone(t) ? "completed" : "open",
+    __blocked_by: blockersOf(t, byId),
     type: normalizeType(t.type) || "task"
   }));
 }
 
 function buildTaskList(view) {
   const merged = state.merged || {};
-  const tasks = Array.isArray(merged.tasks) ? merged.tasks : [];
+  const tasks = (Array.isArray(merged.tasks) ? merged.tasks : []).concat(merged.occurrences || []);
   const today = parseISODate(todayLocalISO());
   const wStart = startOfWeek(today);
   const wEnd = endOfWeek(today);
@@ -330,7 +698,7 @@ function buildTaskList(view) {
 function buildEvents() {
   const merged = state.merged || {};
   const baseEvents = Array.isArray(merged.events) ? merged.events : [];
-  const tasks = Array.isArray(merged.tasks) ? merged.tasks : [];
+  const tasks = (Array.isArray(merged.tasks) ? merged.tasks : []).concat(merged.occurrences || []);
 
   const taskEvents = tasks
     .filter((t) => {
@@ -352,12 +720,16 @@ function buildEvents() {
 function viewTitleText(view) {
   const today = parseISODate(todayLocalISO());
   if (view === "today") return `Today (${isoFromDate(today)})`;
+  if (view === "all") return `All workspaces · Today (${isoFromDate(today)})`;
   if (view === "week") return `Week (${isoFromDate(startOfWeek(today))} → ${isoFromDate(endOfWeek(today))})`;
   if (view === "month") return `Month (${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")})`;
   if (view === "upcoming") return "Upcoming";
   if (view === "completed") return "Completed";
   if (view === "events") return "Events / Milestones";
   if (view === "pillars") return "Pillars Dashboard";
+  if (view === "timeline") return "Timeline";
+  if (view === "clusters") return "Cluster Pipelines";
+  if (view === "donors") return "Donor Compliance";
   return "Tasks";
 }
 function updateMetaLine() {
@@ -365,17 +737,33 @@ function updateMetaLine() {
   const meta = base.meta || {};
   const tz = meta.timezone ? `• ${meta.timezone}` : "";
   const ver = meta.version ? `v${meta.version}` : "";
-  const line = [ver, meta.last_updated ? `updated ${meta.last_updated}` : "", tz].filter(Boolean).join(" ");
+  const ws = workspaces().length > 1 ? `${WORKSPACE.name} •` : "";
+  const line = [ws, ver, meta.last_updated ? `updated ${meta.last_updated}` : "", tz].filter(Boolean).join(" ");
   document.getElementById("metaLine").textContent = line || "Flow Tasks";
 }
+function formatBytes(n) {
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  return `${(n / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
 function updateStorageInfo(overlays) {
   const el = document.getElementById("storageInfo");
+  let line;
   try {
     const bytes = new Blob([JSON.stringify(overlays)]).size;
-    el.textContent = `Overlays: ${overlays.deletions.length} del • ${Object.keys(overlays.task_overrides || {}).length} patch • ${overlays.new_tasks.length} new • ~${Math.round(bytes / 1024)} KB`;
+    line = `Overlays: ${overlays.deletions.length} del • ${Object.keys(overlays.task_overrides || {}).length} patch • ${overlays.new_tasks.length} new • ~${formatBytes(bytes)}`;
   } catch {
-    el.textContent = "Local overlays stored.";
+    line = "Local overlays stored.";
   }
+  el.textContent = line;
+  if (!storage) return;
+  const n = (updateStorageInfo._n = (updateStorageInfo._n || 0) + 1);
+  storage.estimate().then((q) => {
+    if (n !== updateStorageInfo._n) return;
+    const where = storage.kind === "indexeddb" ? "IndexedDB" : "localStorage";
+    const quota = q && q.quota ? ` • ${formatBytes(q.usage)} of ${formatBytes(q.quota)} used` : "";
+    el.textContent = `${line} • ${where}${quota}`;
+  });
 }
 function openSheet(id) {
   const el = document.getElementById(id);
@@ -424,90 +812,257 @@ function attachLongPress(el, onLongPress) {
 /* ---------- Overlay mutations ---------- */
 function ensurePatch(id) {
   if (!state.overlays.task_overrides[id]) state.overlays.task_overrides[id] = {};
+  // Callers write to the patch right away; the stamp lets merges pick the newer side
+  state.overlays.task_overrides[id].updated_at = new Date().toISOString();
   return state.overlays.task_overrides[id];
 }
 
+// Per-occurrence state for recurring items lives under recurrence_overrides[ruleId].occurrences[date]
+function ensureOccurrence(ruleId, iso) {
+  if (!state.overlays.recurrence_overrides) state.overlays.recurrence_overrides = {};
+  const ro = state.overlays.recurrence_overrides;
+  if (!ro[ruleId]) ro[ruleId] = {};
+  if (!ro[ruleId].occurrences) ro[ruleId].occurrences = {};
+  if (!ro[ruleId].occurrences[iso]) ro[ruleId].occurrences[iso] = {};
+  return ro[ruleId].occurrences[iso];
+}
+
 function logComplete(id, completed) {
   const now = new Date().toISOString();
   state.overlays.learning.stats.completes += 1;
   state.overlays.learning.completion_log.push({ id, completed, at: now });
-  state.overlays.learning.completion_log = state.overlays.learning.completion_log.slice(-400);
+  state.overlays.learning.completion_log = state.overlays.learning.completion_log.slice(-storage.logLimit);
 }
 
-function logMove(id, from, to, reason) {
+function logMove(id, from, to, reason, extra = {}) {
   const now = new Date().toISOString();
   state.overlays.learning.stats.moves += 1;
-  state.overlays.learning.move_log.push({ id, from, to, reason, at: now });
-  state.overlays.learning.move_log = state.overlays.learning.move_log.slice(-400);
+  state.overlays.learning.move_log.push({ id, from, to, reason, at: now, ...extra });
+  state.overlays.learning.move_log = state.overlays.learning.move_log.slice(-storage.logLimit);
+}
+
+// Per-item history. `source` says who made the change: manual, ai, cascade, timeline, subtask.
+function logChange(id, field, before, after, source, extra = {}) {
+  const log = state.overlays.learning.change_log;
+  log.push({ id, field, before: before ?? null, after: after ?? null, source, at: new Date().toISOString(), ...extra });
+  state.overlays.learning.change_log = log.slice(-storage.logLimit);
+}
+
+// One change entry per field of `patch` that differs from the item as it was before
+function logFieldChanges(item, patch, source, extra) {
+  if (!item) return;
+  for (const [field, after] of Object.entries(patch || {})) {
+    if (field === "updated_at") continue;
+    const before = item?.[field];
+    if (JSON.stringify(before ?? null) === JSON.stringify(after ?? null)) continue;
+    logChange(item.id, field, before, after, source, extra);
+  }
 }
 
 function toggleComplete(id) {
-  const merged = state.merged || {};
-  const all = (merged.tasks || []).concat(merged.events || []);
-  const item = all.find((x) => x.id === id);
+  const item = findItem(id);
   if (!item) return;
 
-  const patch = ensurePatch(id);
-  const nowDone = !(getStatus(item) === "completed");
+  const before = getStatus(item);
+  const nowDone = before !== "completed";
+  if (nowDone) {
+    const blockers = blockersOf(item);
+    if (blockers.length) {
+      const names = blockers.map((b) => `${b} ${safeText(findItem(b)?.title)}`.trim()).join("\n");
+      if (!confirm(`This still waits on open prerequisites:\n${names}\n\nComplete anyway?`)) return;
+    }
+  }
+
+  const patch = item.__recurring ? ensureOccurrence(item.rule_id, item.occurrence_date) : ensurePatch(id);
   patch.status = nowDone ? "completed" : "open";
   patch.completed_at = nowDone ? new Date().toISOString() : null;
 
   logComplete(id, nowDone);
+  logChange(id, "status", before, patch.status, "manual");
 
-  saveOverlays(state.overlays);
+  const step = saveOverlays(state.overlays);
   state.merged = mergeData(state.base, state.overlays);
-  toast(nowDone ? "Completed" : "Undone");
+  toast(nowDone ? "Completed" : "Reopened", undoAction(step));
   render();
 }
 
 function deleteItem(id) {
   if (!id) return;
+  const item = findItem(id);
+  if (item?.__recurring) return skipOccurrence(id);
+
+  moveToTrash(id, "manual");
+
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  toast("Moved to Trash", undoAction(step));
+  render();
+}
+
+// Deletes through the overlay but keeps the last known content so it can be restored
+function moveToTrash(id, source) {
+  const item = findItem(id);
+  state.overlays.trash[id] = {
+    item: item ? Object.fromEntries(Object.entries(item).filter(([k]) => !k.startsWith("__"))) : null,
+    override: state.overlays.task_overrides[id] || null,
+    new_task: state.overlays.new_tasks.find((t) => t.id === id) || null,
+    deleted_at: new Date().toISOString(),
+    source
+  };
+  logChange(id, "deleted", false, true, source);
   if (!state.overlays.deletions.includes(id)) state.overlays.deletions.push(id);
   delete state.overlays.task_overrides[id];
   state.overlays.new_tasks = state.overlays.new_tasks.filter((t) => t.id !== id);
+}
 
-  saveOverlays(state.overlays);
+function skipOccurrence(id) {
+  const item = findItem(id);
+  if (!item?.__recurring) return;
+  const occ = ensureOccurrence(item.rule_id, item.occurrence_date);
+  logChange(id, "status", getStatus(item), "skipped", "manual");
+  occ.status = "skipped";
+  occ.completed_at = null;
+
+  const step = saveOverlays(state.overlays);
   state.merged = mergeData(state.base, state.overlays);
-  toast("Deleted (overlay)");
+  toast("Occurrence skipped", undoAction(step));
   render();
 }
 
 function moveToToday(id, reason = "manual") {
-  const patch = ensurePatch(id);
+  const item = findItem(id);
   const today = todayLocalISO();
-  const before = { start_date: patch.start_date ?? null, due_date: patch.due_date ?? null };
-  patch.start_date = today;
-  patch.due_date = today;
-  logMove(id, before, { start_date: today, due_date: today }, reason);
+  if (item?.__recurring) {
+    const occ = ensureOccurrence(item.rule_id, item.occurrence_date);
+    logMove(id, { start_date: item.start_date, due_date: item.due_date }, { start_date: today, due_date: today }, reason);
+    logFieldChanges(item, { start_date: today, due_date: today }, "manual");
+    occ.moved_to = today;
 
-  saveOverlays(state.overlays);
-  state.merged = mergeData(state.base, state.overlays);
-  toast("Moved to Today");
-  render();
+    const step = saveOverlays(state.overlays);
+    state.merged = mergeData(state.base, state.overlays);
+    toast("Moved to Today", undoAction(step));
+    render();
+    return;
+  }
+
+  shiftTaskDates(id, { start_date: today, due_date: today }, reason, "Moved to Today");
 }
 
 function deferOneDay(id) {
-  const merged = state.merged || {};
-  const item = (merged.tasks || []).find((t) => t.id === id);
+  const item = findItem(id);
   if (!item) return;
 
-  const patch = ensurePatch(id);
+  if (item.__recurring) {
+    const occ = ensureOccurrence(item.rule_id, item.occurrence_date);
+    const d = addDays(parseISODate(item.due_date) || parseISODate(todayLocalISO()), 1);
+    occ.moved_to = isoFromDate(d);
+    logMove(id, { start_date: item.start_date, due_date: item.due_date }, { start_date: occ.moved_to, due_date: occ.moved_to }, "defer_1d");
+    logFieldChanges(item, { start_date: occ.moved_to, due_date: occ.moved_to }, "manual");
+
+    const step = saveOverlays(state.overlays);
+    state.merged = mergeData(state.base, state.overlays);
+    toast("Deferred", undoAction(step));
+    render();
+    return;
+  }
+
+  const patch = state.overlays.task_overrides[id] || {};
   const current = parseISODate(patch.due_date || item.due_date || patch.start_date || item.start_date);
   const d = current ? new Date(current) : parseISODate(todayLocalISO());
   d.setDate(d.getDate() + 1);
 
-  const before = { start_date: patch.start_date ?? item.start_date ?? null, due_date: patch.due_date ?? item.due_date ?? null };
   const nextISO = isoFromDate(d);
-  patch.due_date = nextISO;
-  if (!patch.start_date) patch.start_date = nextISO;
-  logMove(id, before, { start_date: patch.start_date, due_date: patch.due_date }, "defer_1d");
+  shiftTaskDates(id, { start_date: patch.start_date || nextISO, due_date: nextISO }, "defer_1d", "Deferred");
+}
+
+/* ---------- Cascade ---------- */
+// Dates every open dependent would move to if `item` moved to `after`. Only slips cascade.
+function planCascade(item, after) {
+  const oldD = parseISODate(item.due_date || item.start_date);
+  const newD = parseISODate(after.due_date || after.start_date);
+  if (!oldD || !newD) return [];
+  const delta = Math.round((newD - oldD) / 864e5);
+  if (delta <= 0) return [];
+
+  const open = (state.merged?.tasks || []).filter((t) => !isDone(t));
+  const rows = [];
+  for (const [id, days] of cascadeShifts(item.id, delta, open)) {
+    const t = findItem(id);
+    if (!t) continue;
+    const shift = (iso) => (parseISODate(iso) ? isoFromDate(addDays(parseISODate(iso), days)) : null);
+    rows.push({
+      id,
+      title: t.title,
+      days,
+      before: { start_date: t.start_date ?? null, due_date: t.due_date ?? null },
+      after: { start_date: shift(t.start_date), due_date: shift(t.due_date) }
+    });
+  }
+  return rows;
+}
+
+function shiftTaskDates(id, after, reason, doneMsg) {
+  const item = findItem(id);
+  if (!item) return;
+  const main = { id, before: { start_date: item.start_date ?? null, due_date: item.due_date ?? null }, after, reason };
 
-  saveOverlays(state.overlays);
+  const rows = state.prefs.cascade ? planCascade(item, after) : [];
+  if (rows.length) {
+    showCascadePreview({ main, rows, doneMsg });
+    return;
+  }
+  commitDateShift(main, [], doneMsg);
+}
+
+function commitDateShift(main, rows, doneMsg) {
+  Object.assign(ensurePatch(main.id), main.after);
+  logMove(main.id, main.before, main.after, main.reason);
+  logFieldChanges({ id: main.id, ...main.before }, main.after, main.reason === "timeline_drag" ? "timeline" : "manual");
+
+  for (const r of rows) {
+    Object.assign(ensurePatch(r.id), r.after);
+    logMove(r.id, r.before, r.after, "cascade", { cause: main.id });
+    logFieldChanges({ id: r.id, ...r.before }, r.after, "cascade", { cause: main.id });
+  }
+
+  const step = saveOverlays(state.overlays);
   state.merged = mergeData(state.base, state.overlays);
-  toast("Deferred");
+  const msg = rows.length ? `${doneMsg} · ${rows.length} dependent${rows.length === 1 ? "" : "s"} shifted` : doneMsg;
+  toast(msg, undoAction(step));
   render();
 }
 
+function showCascadePreview(plan) {
+  state.pendingCascade = plan;
+  const { main, rows } = plan;
+  const fmt = (d) => `${d.start_date || "—"} → ${d.due_date || "—"}`;
+  document.getElementById("cascadeSummary").textContent =
+    `${main.id} moves to ${fmt(main.after)}. ${rows.length} dependent task${rows.length === 1 ? "" : "s"} would shift.`;
+  document.getElementById("cascadeList").innerHTML = rows
+    .map(
+      (r) => `
+    <div class="ai-op">
+      <div class="ai-op__top">
+        <span class="ai-op__kind">+${r.days}d</span>
+        <span class="muted small">${esc(r.id)}</span>
+      </div>
+      <div style="margin-top:6px"><strong>${esc(r.title)}</strong></div>
+      <div class="muted small" style="margin-top:4px">${fmt(r.before)} ⇒ ${fmt(r.after)}</div>
+    </div>
+  `
+    )
+    .join("");
+  openSheet("cascadeSheet");
+}
+
+function resolveCascade(withDependents) {
+  const plan = state.pendingCascade;
+  state.pendingCascade = null;
+  closeSheet("cascadeSheet");
+  if (!plan) return;
+  commitDateShift(plan.main, withDependents ? plan.rows : [], plan.doneMsg);
+}
+
 /* ---------- Rendering ---------- */
 function renderSummary() {
   const list = buildTaskList("upcoming").filter((t) => t.__status === "open");
@@ -541,6 +1096,8 @@ function renderRecurring() {
   panel.hidden = false;
 
   const overrides = state.overlays.recurrence_overrides || {};
+  const todayISO = todayLocalISO();
+  const anchorISO = state.base?.meta?.last_updated || null;
   panel.innerHTML = `
     <div class="recHead" style="display:flex;justify-content:space-between;align-items:center;gap:10px">
       <strong>Recurring</strong>
@@ -548,13 +1105,14 @@ function renderRecurring() {
     </div>
     ${rules
       .map((r) => {
-        const enabled = overrides[r.id]?.enabled ?? true;
+        const enabled = isRuleEnabled(overrides, r.id, r);
         const meta = [r.frequency, r.day_of_week].filter(Boolean).join(" ");
+        const next = enabled ? nextOccurrenceDate(r, overrides, todayISO, { anchorISO }) : null;
         return `
         <div class="rule">
           <div>
             <strong>${safeText(r.title || r.id)}</strong>
-            <div class="muted small">${safeText(r.pillar || "")} ${meta ? "• " + meta : ""}</div>
+            <div class="muted small">${esc(r.pillar || "")} ${meta ? "• " + meta : ""} ${next ? "• next " + next : ""}</div>
             ${r.notes ? `<div class="muted small">${safeText(r.notes)}</div>` : ""}
           </div>
           <button class="toggle ${enabled ? "on" : ""}" data-rec="${r.id}" aria-label="Toggle recurrence">
@@ -568,12 +1126,15 @@ function renderRecurring() {
   panel.querySelectorAll(".toggle").forEach((btn) => {
     btn.addEventListener("click", () => {
       const id = btn.dataset.rec;
-      const cur = state.overlays.recurrence_overrides?.[id]?.enabled ?? true;
+      const cur = isRuleEnabled(state.overlays.recurrence_overrides, id, rules.find((r) => r.id === id));
       if (!state.overlays.recurrence_overrides) state.overlays.recurrence_overrides = {};
-      state.overlays.recurrence_overrides[id] = { enabled: !cur };
-      saveOverlays(state.overlays);
-      renderRecurring();
-      toast(!cur ? "Recurring enabled" : "Recurring disabled");
+      logChange(id, "enabled", cur, !cur, "manual");
+      // Keep per-occurrence state when toggling the rule
+      state.overlays.recurrence_overrides[id] = { ...(state.overlays.recurrence_overrides[id] || {}), enabled: !cur };
+      const step = saveOverlays(state.overlays);
+      state.merged = mergeData(state.base, state.overlays);
+      render();
+      toast(!cur ? "Recurring enabled" : "Recurring disabled", undoAction(step));
     });
   });
 }
@@ -602,6 +1163,20 @@ function renderPillarsDash() {
   const pillarCounts = counts((t) => t.pillar);
   const ownerCounts = counts((t) => t.owner_id);
 
+  // Support load is counted separately so primary totals stay comparable
+  const supportCounts = new Map();
+  for (const t of open) {
+    for (const id of supportOwnerIds(t)) {
+      if (!supportCounts.has(id)) supportCounts.set(id, { total: 0, overdue: 0 });
+      const c = supportCounts.get(id);
+      c.total += 1;
+      if (isOverdue(t, today)) c.overdue += 1;
+    }
+  }
+  for (const id of supportCounts.keys()) {
+    if (!ownerCounts.some(([k]) => k === id)) ownerCounts.push([id, { total: 0, overdue: 0, p1: 0 }]);
+  }
+
   byPillar.innerHTML =
     pillarCounts
       .map(
@@ -634,6 +1209,7 @@ function renderPillarsDash() {
         <span class="kpi">${c.total} open</span>
         <span class="kpi ${c.overdue ? "danger" : ""}">${c.overdue} overdue</span>
         <span class="kpi">${c.p1} P1</span>
+        <span class="kpi" title="Open tasks supporting another owner">${supportCounts.get(k)?.total || 0} support</span>
       </div>
     </div>
   `
@@ -700,6 +1276,14 @@ function renderCard(t) {
   own.className = "badge";
   own.textContent = ownerName(t.owner_id);
 
+  const supportIds = supportOwnerIds(t);
+  const sup = document.createElement("span");
+  if (supportIds.length) {
+    sup.className = "badge";
+    sup.textContent = `+ ${supportIds.map((id) => ownerName(id).replace(/\s*\(.*\)$/, "")).join(", ")}`;
+    sup.title = `Support: ${supportIds.map(ownerName).join(", ")}`;
+  }
+
   const d = document.createElement("span");
   d.className = "badge" + (overdue ? " danger" : "");
   d.textContent = due ? `due ${isoFromDate(due)}` : start ? `start ${isoFromDate(start)}` : "no date";
@@ -708,7 +1292,43 @@ function renderCard(t) {
   pr.className = "badge ok";
   pr.textContent = `P${t.priority ?? 2}`;
 
-  meta.append(pill, own, d, pr);
+  meta.append(pill, own);
+  if (supportIds.length) meta.appendChild(sup);
+  meta.append(d, pr);
+
+  const est = Number(t.estimated_minutes);
+  if ((Number.isFinite(est) && est > 0) || normalizeEnergy(t.energy)) {
+    const en = document.createElement("span");
+    en.className = "badge";
+    en.textContent = [est > 0 ? `${est}m` : "", normalizeEnergy(t.energy) ? `${normalizeEnergy(t.energy)} energy` : ""]
+      .filter(Boolean)
+      .join(" · ");
+    meta.appendChild(en);
+  }
+
+  const subs = normalizeSubtasks(t.subtasks);
+  if (subs.length) {
+    const st = document.createElement("span");
+    const done = subs.filter((x) => x.done).length;
+    st.className = "badge" + (done === subs.length ? " ok" : "");
+    st.textContent = `☑ ${done}/${subs.length}`;
+    meta.appendChild(st);
+  }
+
+  if (t.__status === "open" && t.__blocked_by?.length) {
+    const blk = document.createElement("span");
+    blk.className = "badge warn";
+    blk.textContent = `⛓ waits on ${t.__blocked_by.join(", ")}`;
+    blk.title = t.__blocked_by.map((b) => `${b}: ${safeText(findItem(b)?.title)}`).join("\n");
+    meta.appendChild(blk);
+  }
+
+  if (t.__recurring) {
+    const rec = document.createElement("span");
+    rec.className = "badge";
+    rec.textContent = `↻ ${safeText(t.frequency).toLowerCase() || "recurring"}`;
+    meta.appendChild(rec);
+  }
   main.append(title, meta);
 
   if (t.notes) {
@@ -730,15 +1350,18 @@ function renderTodaySections(listEl) {
   const all = buildTaskList("today").filter((t) => t.__status === "open");
   const filtered = all.filter(matchesFilters);
 
-  const overdue = filtered.filter((t) => isOverdue(t, today));
-  const dueToday = filtered
+  const blocked = filtered.filter((t) => t.__blocked_by.length);
+  const ready = filtered.filter((t) => !t.__blocked_by.length);
+
+  const overdue = ready.filter((t) => isOverdue(t, today));
+  const dueToday = ready
     .filter((t) => !isOverdue(t, today))
     .filter((t) => {
       const d = parseISODate(t.due_date) || parseISODate(t.start_date);
       return d && isoFromDate(d) === isoFromDate(today);
     });
 
-  const next = filtered.filter((t) => !overdue.includes(t) && !dueToday.includes(t));
+  const next = ready.filter((t) => !overdue.includes(t) && !dueToday.includes(t));
 
   const makeSection = (label, arr) => {
     if (!arr.length) return;
@@ -750,68 +1373,516 @@ function renderTodaySections(listEl) {
     else arr.forEach((it) => listEl.appendChild(renderCard(it)));
   };
 
+  renderCapacity(listEl, overdue.concat(dueToday));
+
   makeSection("Overdue", sortItems(overdue));
   makeSection("Today", sortItems(dueToday));
   makeSection("Next", sortItems(next));
+  makeSection("Blocked", sortItems(blocked));
 
-  if (!overdue.length && !dueToday.length && !next.length) {
+  if (!overdue.length && !dueToday.length && !next.length && !blocked.length) {
     listEl.innerHTML = `<div class="muted" style="padding:18px 6px">Nothing here. Quick Add to capture something.</div>`;
   }
 }
 
-function render() {
-  document.body.classList.toggle("zen", state.zen);
+/* ---------- Capacity ---------- */
+function ownerCapacity(ownerId) {
+  const n = Number(state.overlays.capacity?.[ownerId]);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
 
-  document.getElementById("viewTitle").textContent = viewTitleText(state.view);
-  renderSummary();
-  renderRecurring();
-  renderPillarsDash();
-  renderAiHint();
+// Header for the Today view: estimated minutes on today's plate vs each owner's daily capacity.
+function renderCapacity(listEl, planned) {
+  const byOwner = new Map();
+  for (const t of planned) {
+    const k = t.owner_id || "";
+    if (!byOwner.has(k)) byOwner.set(k, { minutes: 0, unestimated: 0 });
+    const c = byOwner.get(k);
+    const m = Number(t.estimated_minutes);
+    if (Number.isFinite(m) && m > 0) c.minutes += m;
+    else c.unestimated += 1;
+  }
 
-  const listEl = document.getElementById("list");
-  listEl.innerHTML = "";
+  const f = state.filters.owner_id;
+  const keys = f !== "any" ? [f] : Array.from(byOwner.keys()).filter((k) => k && (byOwner.get(k).minutes || ownerCapacity(k)));
+  if (!keys.length) return;
+
+  const fmt = (m) => (m >= 60 ? `${Math.floor(m / 60)}h${m % 60 ? ` ${m % 60}m` : ""}` : `${m}m`);
+  const box = document.createElement("div");
+  box.className = "capacity";
+  box.innerHTML = keys
+    .map((k) => {
+      const c = byOwner.get(k) || { minutes: 0, unestimated: 0 };
+      const cap = ownerCapacity(k);
+      const over = cap && c.minutes > cap;
+      const pct = cap ? Math.min(100, Math.round((c.minutes / cap) * 100)) : 0;
+      return `
+      <div class="capRow ${over ? "is-over" : ""}">
+        <div class="capRow__top">
+          <strong>${esc(ownerName(k))}</strong>
+          <span class="small">${fmt(c.minutes)}${cap ? ` / ${fmt(cap)}` : " planned"}${c.unestimated ? ` • ${c.unestimated} unestimated` : ""}</span>
+        </div>
+        ${cap ? `<div class="progress"><span style="width:${pct}%"></span></div>` : ""}
+        ${over ? `<div class="small capWarn">Over capacity by ${fmt(c.minutes - cap)} — defer or pick low-energy work.</div>` : ""}
+      </div>
+    `;
+    })
+    .join("");
+  listEl.appendChild(box);
+}
 
-  if (state.view === "pillars") return;
+function renderCapacitySettings() {
+  const owners = ownersList(state.base || {});
+  const el = document.getElementById("capacityList");
+  el.innerHTML = owners
+    .map((o) => {
+      const id = o.owner_id || o.id;
+      const v = ownerCapacity(id);
+      return `
+      <div class="capSetting">
+        <label for="cap_${id}">${esc(o.name || id)}</label>
+        <input id="cap_${id}" type="number" min="0" step="15" inputmode="numeric" placeholder="min/day" value="${v || ""}" data-cap="${id}" />
+      </div>
+    `;
+    })
+    .join("");
+  el.querySelectorAll("[data-cap]").forEach((input) => {
+    input.addEventListener("change", () => {
+      const n = Math.max(0, Math.round(Number(input.value) || 0));
+      if (!state.overlays.capacity) state.overlays.capacity = {};
+      if (n) state.overlays.capacity[input.dataset.cap] = n;
+      else delete state.overlays.capacity[input.dataset.cap];
+      saveOverlays(state.overlays);
+      render();
+    });
+  });
+}
 
-  if (state.view === "today") {
-    renderTodaySections(listEl);
-    return;
-  }
+/* ---------- Timeline ---------- */
+const TL_DAY_PX = 7;
+const TL_ROW_PX = 30;
+const TL_LABEL_PX = 170;
 
-  let items = [];
-  if (state.view === "events") items = buildEvents();
-  else items = buildTaskList(state.view);
+function renderTimeline(listEl) {
+  const merged = state.merged || {};
+  const items = decorateTasks(merged.tasks || []).filter(matchesFilters);
+  const dated = items.filter((t) => parseISODate(t.start_date) || parseISODate(t.due_date));
+  const undated = items.length - dated.length;
+
+  const wrap = document.createElement("div");
+  wrap.className = "tl";
+  wrap.innerHTML = `
+    <div class="tlBar">
+      <select id="tlGroup" class="sel" aria-label="Group timeline by">
+        <option value="cluster" ${state.timelineGroup === "cluster" ? "selected" : ""}>Group: Cluster</option>
+        <option value="pillar" ${state.timelineGroup === "pillar" ? "selected" : ""}>Group: Pillar</option>
+      </select>
+      <span class="muted small">${dated.length} bar(s)${undated ? ` • ${undated} undated not shown` : ""} • drag bar ends to change dates</span>
+    </div>
+  `;
+  listEl.appendChild(wrap);
+  wrap.querySelector("#tlGroup").addEventListener("change", (e) => {
+    state.timelineGroup = e.target.value;
+    render();
+  });
 
-  if (!items.length) {
-    listEl.innerHTML = `<div class="muted" style="padding:18px 6px">Nothing here. Quick Add to capture something.</div>`;
+  if (!dated.length) {
+    wrap.insertAdjacentHTML("beforeend", `<div class="muted" style="padding:18px 6px">No dated tasks match the filters.</div>`);
     return;
   }
 
+  const span = (t) => {
+    const s0 = parseISODate(t.start_date) || parseISODate(t.due_date);
+    const e0 = parseISODate(t.due_date) || s0;
+    return e0 < s0 ? [e0, s0] : [s0, e0];
+  };
+
+  const today = parseISODate(todayLocalISO());
+  let min = today;
+  let max = today;
+  for (const t of dated) {
+    const [a, b] = span(t);
+    if (a < min) min = a;
+    if (b > max) max = b;
+  }
+  min = startOfMonth(min);
+  max = endOfMonth(max);
+  const dayIndex = (d) => Math.round((d - min) / 864e5);
+  const totalDays = dayIndex(max) + 1;
+  const width = totalDays * TL_DAY_PX;
+
+  // Group rows
+  const keyOf = (t) => (state.timelineGroup === "pillar" ? t.pillar || "" : t.cluster || "");
+  const labelOf = (k) => (state.timelineGroup === "pillar" ? (k ? pillarLabel(k) : "No pillar") : clusterLabel(k));
   const groups = new Map();
-  for (const it of items) {
-    const d = parseISODate(it.due_date) || parseISODate(it.start_date);
-    const key = d ? isoFromDate(d) : "No date";
-    if (!groups.has(key)) groups.set(key, []);
-    groups.get(key).push(it);
+  for (const t of dated) {
+    const k = keyOf(t);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(t);
+  }
+  const groupKeys = Array.from(groups.keys()).sort((a, b) => (!a ? 1 : !b ? -1 : a.localeCompare(b)));
+
+  const scroll = document.createElement("div");
+  scroll.className = "tlScroll";
+  const canvas = document.createElement("div");
+  canvas.className = "tlCanvas";
+  canvas.style.width = `${TL_LABEL_PX + width}px`;
+
+  // Month header
+  const head = document.createElement("div");
+  head.className = "tlRow tlHead";
+  head.innerHTML = `<div class="tlLabel"></div><div class="tlTrack" style="width:${width}px"></div>`;
+  const headTrack = head.querySelector(".tlTrack");
+  for (let m = new Date(min); m <= max; m = new Date(m.getFullYear(), m.getMonth() + 1, 1, 12)) {
+    const tick = document.createElement("div");
+    tick.className = "tlMonth";
+    tick.style.left = `${dayIndex(m) * TL_DAY_PX}px`;
+    tick.textContent = `${m.getFullYear()}-${String(m.getMonth() + 1).padStart(2, "0")}`;
+    headTrack.appendChild(tick);
+  }
+  canvas.appendChild(head);
+
+  const rowY = new Map(); // id -> center y inside canvas
+  let y = TL_ROW_PX;
+  for (const k of groupKeys) {
+    const g = document.createElement("div");
+    g.className = "tlRow tlGroupRow";
+    g.innerHTML = `<div class="tlLabel"><strong>${esc(labelOf(k))}</strong></div><div class="tlTrack" style="width:${width}px"></div>`;
+    canvas.appendChild(g);
+    y += TL_ROW_PX;
+
+    const rows = groups.get(k).slice().sort((a, b) => span(a)[0] - span(b)[0] || safeText(a.id).localeCompare(safeText(b.id)));
+    for (const t of rows) {
+      const [s0, e0] = span(t);
+      const row = document.createElement("div");
+      row.className = "tlRow";
+      row.innerHTML = `
+        <div class="tlLabel" title="${esc(t.title)}"><span class="muted small">${esc(t.id)}</span> ${esc(t.title)}</div>
+        <div class="tlTrack" style="width:${width}px"></div>
+      `;
+      const bar = document.createElement("div");
+      bar.className =
+        "tlItem" +
+        (t.__status === "completed" ? " is-done" : "") +
+        (isOverdue(t, today) ? " is-overdue" : "") +
+        (t.__blocked_by.length ? " is-blocked" : "");
+      bar.style.left = `${dayIndex(s0) * TL_DAY_PX}px`;
+      bar.style.width = `${(dayIndex(e0) - dayIndex(s0) + 1) * TL_DAY_PX}px`;
+      bar.title = `${t.id} · ${isoFromDate(s0)} → ${isoFromDate(e0)}`;
+      bar.innerHTML = `<span class="tlHandle" data-end="start"></span><span class="tlHandle" data-end="due"></span>`;
+      attachTimelineDrag(bar, t, s0, e0);
+      row.querySelector(".tlTrack").appendChild(bar);
+      canvas.appendChild(row);
+
+      rowY.set(t.id, { y: y + TL_ROW_PX / 2, x1: dayIndex(s0) * TL_DAY_PX, x2: (dayIndex(e0) + 1) * TL_DAY_PX });
+      y += TL_ROW_PX;
+    }
   }
-  const entries = Array.from(groups.entries()).sort((a, b) => {
-    if (a[0] === "No date") return 1;
-    if (b[0] === "No date") return -1;
-    return a[0].localeCompare(b[0]);
-  });
 
-  for (const [k, arr] of entries) {
-    const h = document.createElement("div");
-    h.className = "groupTitle";
-    h.textContent = k;
-    listEl.appendChild(h);
-    arr.forEach((it) => listEl.appendChild(renderCard(it)));
+  // Today marker
+  const marker = document.createElement("div");
+  marker.className = "tlToday";
+  marker.style.left = `${TL_LABEL_PX + dayIndex(today) * TL_DAY_PX}px`;
+  marker.style.height = `${y}px`;
+  canvas.appendChild(marker);
+
+  // Dependency arrows
+  const paths = [];
+  for (const t of dated) {
+    const to = rowY.get(t.id);
+    for (const depId of depsOf(t)) {
+      const from = rowY.get(depId);
+      if (!from || !to) continue;
+      const x1 = TL_LABEL_PX + from.x2;
+      const x2 = TL_LABEL_PX + to.x1;
+      paths.push(
+        `<path d="M${x1} ${from.y} C${x1 + 14} ${from.y}, ${x2 - 14} ${to.y}, ${x2} ${to.y}" marker-end="url(#tlArrowHead)"></path>`
+      );
+    }
   }
+  canvas.insertAdjacentHTML(
+    "beforeend",
+    `<svg class="tlArrows" width="${TL_LABEL_PX + width}" height="${y}" aria-hidden="true">
+      <defs><marker id="tlArrowHead" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto"><path d="M0 0L6 3L0 6z"></path></marker></defs>
+      ${paths.join("")}
+    </svg>`
+  );
+
+  scroll.appendChild(canvas);
+  wrap.appendChild(scroll);
+
+  // Start scrolled near today
+  scroll.scrollLeft = Math.max(0, dayIndex(today) * TL_DAY_PX - 120);
 }
 
-/* ---------- Views ---------- */
-function setView(view) {
-  state.view = view;
+// Drag a bar end (or the whole bar) by whole days; commits through the overlay system on release.
+function attachTimelineDrag(bar, t, s0, e0) {
+  let drag = null;
+
+  bar.addEventListener("pointerdown", (e) => {
+    const end = e.target.dataset?.end || "both";
+    drag = { end, x: e.clientX, left: bar.offsetLeft, width: bar.offsetWidth, days: 0 };
+    bar.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+
+  bar.addEventListener("pointermove", (e) => {
+    if (!drag) return;
+    drag.days = Math.round((e.clientX - drag.x) / TL_DAY_PX);
+    const dx = drag.days * TL_DAY_PX;
+    if (drag.end === "start") {
+      const w = drag.width - dx;
+      if (w < TL_DAY_PX) return;
+      bar.style.left = `${drag.left + dx}px`;
+      bar.style.width = `${w}px`;
+    } else if (drag.end === "due") {
+      const w = drag.width + dx;
+      if (w < TL_DAY_PX) return;
+      bar.style.width = `${w}px`;
+    } else {
+      bar.style.left = `${drag.left + dx}px`;
+    }
+  });
+
+  bar.addEventListener("pointerup", () => {
+    if (!drag) return;
+    const { end, days } = drag;
+    drag = null;
+    if (!days) return openEdit(t.id);
+
+    let s1 = end === "due" ? s0 : addDays(s0, days);
+    let e1 = end === "start" ? e0 : addDays(e0, days);
+    if (s1 > e1) [s1, e1] = [e1, s1];
+    shiftTaskDates(t.id, { start_date: isoFromDate(s1), due_date: isoFromDate(e1) }, "timeline_drag", "Dates updated");
+  });
+
+  bar.addEventListener("pointercancel", () => {
+    drag = null;
+    render();
+  });
+}
+
+/* ---------- Clusters ---------- */
+function renderClusters(listEl) {
+  const today = parseISODate(todayLocalISO());
+  const tasks = decorateTasks(state.merged?.tasks || []);
+  const pipes = clusterPipelines(state.base?.meta?.clusters, tasks, {
+    isDone: (t) => t.__status === "completed",
+    isOverdue: (t) => isOverdue(t, today)
+  });
+
+  if (!pipes.length) {
+    listEl.innerHTML = `<div class="muted" style="padding:18px 6px">No clusters defined in tasks.json (meta.clusters).</div>`;
+    return;
+  }
+
+  for (const p of pipes) {
+    const pct = p.total ? Math.round((p.done / p.total) * 100) : 0;
+    const cur = p.stages[p.currentStage];
+    const card = document.createElement("div");
+    card.className = "dashCard pipe";
+    card.innerHTML = `
+      <div class="pipeHead">
+        <h3 class="dashTitle">${esc(p.code)} · ${esc(p.name)}</h3>
+        <div class="kpis">
+          <span class="kpi">${p.done}/${p.total} done</span>
+          <span class="kpi ${p.overdueStages.length ? "danger" : ""}">${p.overdueStages.length} overdue stage(s)</span>
+        </div>
+      </div>
+      <div class="progress" aria-label="${pct}% complete"><span style="width:${pct}%"></span></div>
+      <div class="muted small">${cur ? `Current stage: <strong>${esc(cur.label)}</strong>` : p.total ? "All stages complete" : "No tasks mapped"}</div>
+      <div class="stages">
+        ${p.stages
+          .map((st, i) => {
+            const cls = [
+              "stage",
+              st.total && st.done === st.total ? "is-done" : "",
+              i === p.currentStage ? "is-current" : "",
+              st.overdue ? "is-overdue" : "",
+              state.clusterStage === `${p.code}:${i}` ? "is-open" : ""
+            ]
+              .filter(Boolean)
+              .join(" ");
+            return `<button class="${cls}" type="button" data-stage="${p.code}:${i}">
+              ${esc(st.label)} <small>${st.done}/${st.total}</small>
+            </button>`;
+          })
+          .join(`<span class="stageArrow" aria-hidden="true">→</span>`)}
+      </div>
+    `;
+
+    card.querySelectorAll("[data-stage]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        state.clusterStage = state.clusterStage === btn.dataset.stage ? null : btn.dataset.stage;
+        render();
+      });
+    });
+
+    const [openCode, openIdx] = (state.clusterStage || "").split(":");
+    if (openCode === p.code) {
+      const st = p.stages[Number(openIdx)];
+      const box = document.createElement("div");
+      box.className = "grid stageTasks";
+      if (st && st.tasks.length) sortItems(st.tasks).forEach((t) => box.appendChild(renderCard(t)));
+      else box.innerHTML = `<div class="muted small">No tasks on this stage.</div>`;
+      card.appendChild(box);
+    }
+
+    listEl.appendChild(card);
+  }
+}
+
+/* ---------- Donors ---------- */
+function donorGroups() {
+  const today = parseISODate(todayLocalISO());
+  // Status filter is ignored here: a compliance view always needs done + open
+  const f = { ...state.filters, status: "any" };
+  const tasks = decorateTasks(state.merged?.tasks || []).filter((t) => itemMatches(t, f));
+  return donorStreams(tasks, {
+    isDone: (t) => t.__status === "completed",
+    isOverdue: (t) => isOverdue(t, today)
+  });
+}
+
+function renderDonors(listEl) {
+  const groups = donorGroups();
+  if (!groups.length) {
+    listEl.innerHTML = `<div class="muted" style="padding:18px 6px">No tasks match the filters.</div>`;
+    return;
+  }
+
+  for (const g of groups) {
+    const pct = g.total ? Math.round((g.done / g.total) * 100) : 0;
+    const card = document.createElement("div");
+    card.className = "dashCard pipe";
+    card.innerHTML = `
+      <div class="pipeHead">
+        <h3 class="dashTitle">${esc(g.stream)}</h3>
+        <div class="kpis">
+          <span class="kpi">${g.done}/${g.total} done</span>
+          <span class="kpi">${g.total - g.done} open</span>
+          <span class="kpi ${g.overdue ? "danger" : ""}">${g.overdue} overdue</span>
+        </div>
+      </div>
+      <div class="progress" aria-label="${pct}% complete"><span style="width:${pct}%"></span></div>
+      ${
+        g.notes.length
+          ? `<div class="donorNotes">${g.notes
+              .map((n) => `<div class="donorNote">${esc(n.text)} <span class="muted small">${esc(n.ids.join(", "))}</span></div>`)
+              .join("")}</div>`
+          : `<div class="muted small">No compliance notes.</div>`
+      }
+      <div class="btnrow">
+        <button class="btn" type="button" data-donor-filter>Show tasks</button>
+        <button class="btn" type="button" data-donor-export>Export report</button>
+      </div>
+    `;
+
+    card.querySelector("[data-donor-export]").addEventListener("click", () => exportDonorReport(g));
+    card.querySelector("[data-donor-filter]").addEventListener("click", () => {
+      state.donorOpen = state.donorOpen === g.stream ? null : g.stream;
+      render();
+    });
+
+    if (state.donorOpen === g.stream) {
+      const box = document.createElement("div");
+      box.className = "grid stageTasks";
+      sortItems(g.tasks).forEach((t) => box.appendChild(renderCard(t)));
+      card.appendChild(box);
+    }
+
+    listEl.appendChild(card);
+  }
+}
+
+function exportDonorReport(group) {
+  const today = parseISODate(todayLocalISO());
+  const md = donorReportMarkdown(group, {
+    meta: state.base?.meta || {},
+    todayISO: todayLocalISO(),
+    isDone: (t) => t.__status === "completed",
+    isOverdue: (t) => isOverdue(t, today),
+    ownerLabel: ownerName
+  });
+  const slug = group.stream.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  dlFile(`donor-${slug}-${todayLocalISO()}.md`, md, "text/markdown");
+  toast(`Exported ${group.stream} report`);
+}
+
+function render() {
+  document.body.classList.toggle("zen", state.zen);
+
+  document.getElementById("viewTitle").textContent = viewTitleText(state.view);
+  renderSummary();
+  renderRecurring();
+  renderPillarsDash();
+  renderAiHint();
+
+  const listEl = document.getElementById("list");
+  listEl.innerHTML = "";
+
+  if (state.view === "pillars") return;
+
+  if (state.view === "today") {
+    renderTodaySections(listEl);
+    return;
+  }
+
+  if (state.view === "all") {
+    renderAllToday(listEl);
+    return;
+  }
+
+  if (state.view === "timeline") {
+    renderTimeline(listEl);
+    return;
+  }
+
+  if (state.view === "clusters") {
+    renderClusters(listEl);
+    return;
+  }
+
+  if (state.view === "donors") {
+    renderDonors(listEl);
+    return;
+  }
+
+  let items = [];
+  if (state.view === "events") items = buildEvents();
+  else items = buildTaskList(state.view);
+
+  if (!items.length) {
+    listEl.innerHTML = `<div class="muted" style="padding:18px 6px">Nothing here. Quick Add to capture something.</div>`;
+    return;
+  }
+
+  const groups = new Map();
+  for (const it of items) {
+    const d = parseISODate(it.due_date) || parseISODate(it.start_date);
+    const key = d ? isoFromDate(d) : "No date";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(it);
+  }
+  const entries = Array.from(groups.entries()).sort((a, b) => {
+    if (a[0] === "No date") return 1;
+    if (b[0] === "No date") return -1;
+    return a[0].localeCompare(b[0]);
+  });
+
+  for (const [k, arr] of entries) {
+    const h = document.createElement("div");
+    h.className = "groupTitle";
+    h.textContent = k;
+    listEl.appendChild(h);
+    arr.forEach((it) => listEl.appendChild(renderCard(it)));
+  }
+}
+
+/* ---------- Views ---------- */
+function setView(view) {
+  if (view === "all" && state.view !== "all") workspaceSnapshots.clear();
+  state.view = view;
   document.querySelectorAll(".tab").forEach((btn) => {
     const active = btn.dataset.view === view;
     btn.classList.toggle("is-active", active);
@@ -905,11 +1976,12 @@ function saveQuickAdd() {
   };
 
   state.overlays.new_tasks.push(task);
-  saveOverlays(state.overlays);
+  logChange(newId, "created", null, task.title, "manual");
+  const step = saveOverlays(state.overlays);
   state.merged = mergeData(state.base, state.overlays);
 
   closeSheet("quickAddSheet");
-  toast("Added");
+  toast("Added", undoAction(step));
   render();
 
   if (document.getElementById("qaAiRefine").checked) {
@@ -918,10 +1990,10 @@ function saveQuickAdd() {
 }
 
 function openEdit(id) {
-  const merged = state.merged || {};
-  const all = (merged.tasks || []).concat(merged.events || []);
-  const item = all.find((x) => x.id === id);
+  const item = findItem(id);
   if (!item) return;
+  // Occurrences are edited through their rule; per-occurrence actions live in the action sheet
+  if (item.__recurring) return openActions(id, `${item.title} · ${item.start_date}`);
 
   const base = state.merged || state.base || {};
   const pillars = pillarsList(base);
@@ -934,99 +2006,1180 @@ function openEdit(id) {
   document.getElementById("editDue").value = item.due_date || "";
   document.getElementById("editType").value = normalizeType(item.type) || "";
   document.getElementById("editPriority").value = (item.priority ?? "").toString();
+  document.getElementById("editEstimate").value = item.estimated_minutes ?? "";
+  document.getElementById("editEnergy").value = normalizeEnergy(item.energy);
+
+  document.getElementById("editPillar").innerHTML =
+    `<option value="">—</option>` +
+    pillars
+      .map((p) => {
+        const code = p.code || p.id || p.pillar;
+        const label = safeText(p.name || p.label || code);
+        return `<option value="${code}" ${code === item.pillar ? "selected" : ""}>${label}</option>`;
+      })
+      .join("");
+
+  document.getElementById("editOwner").innerHTML =
+    `<option value="">—</option>` +
+    owners
+      .map((o) => {
+        const oid = o.owner_id || o.id;
+        const label = safeText(o.name || oid);
+        return `<option value="${oid}" ${oid === item.owner_id ? "selected" : ""}>${label}</option>`;
+      })
+      .join("");
+
+  const support = supportOwnerIds(item);
+  document.getElementById("editSupport").innerHTML = owners
+    .map((o) => {
+      const oid = o.owner_id || o.id;
+      return `<option value="${esc(oid)}" ${support.includes(oid) ? "selected" : ""}>${esc(o.name || oid)}</option>`;
+    })
+    .join("");
+
+  state.editSubtasks = normalizeSubtasks(item.subtasks);
+  state.editHadSubtasks = state.editSubtasks.length > 0;
+  document.getElementById("editSubtaskInput").value = "";
+  renderSubtaskEditor();
+
+  // Dependency options: any other task that would not close a loop
+  const downstream = new Set(downstreamOf(id, base.tasks || []).map((t) => t.id));
+  const deps = depsOf(item);
+  document.getElementById("editDeps").innerHTML = (base.tasks || [])
+    .filter((t) => t.id !== id && !downstream.has(t.id))
+    .map((t) => {
+      const sel = deps.includes(t.id) ? "selected" : "";
+      return `<option value="${esc(t.id)}" ${sel}>${esc(t.id)} · ${esc(t.title)}</option>`;
+    })
+    .join("");
+
+  renderHistory(id);
+  openSheet("editSheet");
+}
+
+/* ---------- Trash ---------- */
+// Every deleted id, with the content kept at deletion time (or the base item for older deletions)
+function trashEntries() {
+  const base = state.base || {};
+  const baseItems = (base.tasks || []).concat(base.events || []);
+  return (state.overlays.deletions || [])
+    .map((id) => {
+      const entry = state.overlays.trash[id] || {};
+      const item = entry.item || entry.new_task || baseItems.find((x) => x && x.id === id) || null;
+      return { id, item, deleted_at: entry.deleted_at || null, source: entry.source || null, local: !!entry.new_task || id.startsWith("temp_") };
+    })
+    .sort((a, b) => (b.deleted_at || "").localeCompare(a.deleted_at || ""));
+}
+
+function renderTrash() {
+  const entries = trashEntries();
+  document.getElementById("trashSummary").textContent = entries.length
+    ? `${entries.length} deleted item${entries.length === 1 ? "" : "s"}`
+    : "Trash is empty.";
+  document.getElementById("trashDays").value = state.prefs.trashDays ?? "";
+  document.getElementById("btnTrashEmpty").disabled = !entries.length;
+
+  const list = document.getElementById("trashList");
+  list.innerHTML = entries
+    .map((e) => {
+      const t = e.item || {};
+      const dates = [t.start_date, t.due_date].filter(Boolean).join(" → ");
+      const when = e.deleted_at ? `Deleted ${new Date(e.deleted_at).toLocaleString()}` : "Deleted before Trash existed";
+      return `
+    <div class="ai-op">
+      <div class="ai-op__top">
+        <span class="ai-op__kind">${e.local ? "local" : "base"}${e.source === "ai" ? " · AI" : ""}</span>
+        <span class="muted small">${esc(e.id)}</span>
+      </div>
+      <div style="margin-top:6px"><strong>${esc(t.title || "(no content kept)")}</strong></div>
+      <div class="muted small" style="margin-top:4px">${esc([dates, t.owner_id ? ownerName(t.owner_id) : "", when].filter(Boolean).join(" · "))}</div>
+      <div class="btnrow">
+        <button class="btn danger" type="button" data-purge="${esc(e.id)}">Delete forever</button>
+        <button class="btn primary" type="button" data-restore="${esc(e.id)}">Restore</button>
+      </div>
+    </div>
+  `;
+    })
+    .join("");
+
+  list.querySelectorAll("[data-restore]").forEach((btn) => btn.addEventListener("click", () => restoreFromTrash(btn.dataset.restore)));
+  list.querySelectorAll("[data-purge]").forEach((btn) => btn.addEventListener("click", () => purgeFromTrash([btn.dataset.purge])));
+}
+
+function restoreFromTrash(id) {
+  const entry = state.overlays.trash[id] || {};
+  state.overlays.deletions = state.overlays.deletions.filter((x) => x !== id);
+  if (entry.new_task && !state.overlays.new_tasks.some((t) => t.id === id)) state.overlays.new_tasks.push(entry.new_task);
+  if (entry.override && !state.overlays.task_overrides[id]) state.overlays.task_overrides[id] = entry.override;
+  delete state.overlays.trash[id];
+  logChange(id, "deleted", true, false, "manual");
+
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  renderTrash();
+  toast("Restored", undoAction(step));
+  render();
+}
+
+// Drops the kept content. Base items stay deleted; local items have nothing left to hide.
+function dropFromTrash(ids) {
+  for (const id of ids) {
+    const entry = state.overlays.trash[id];
+    if (entry?.new_task || id.startsWith("temp_")) state.overlays.deletions = state.overlays.deletions.filter((x) => x !== id);
+    delete state.overlays.trash[id];
+  }
+}
+
+function purgeFromTrash(ids) {
+  if (!ids.length) return;
+  if (!confirm(ids.length === 1 ? "Delete this item forever?" : `Delete ${ids.length} items forever?`)) return;
+  dropFromTrash(ids);
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  renderTrash();
+  toast(ids.length === 1 ? "Deleted forever" : `${ids.length} items deleted forever`, undoAction(step));
+  render();
+}
+
+// Runs at boot; not an undo step
+function autoPurgeTrash() {
+  const days = Number(state.prefs.trashDays);
+  if (!days || days < 0) return;
+  const cutoff = addDays(new Date(), -days).toISOString();
+  const old = Object.entries(state.overlays.trash)
+    .filter(([, e]) => e.deleted_at && e.deleted_at < cutoff)
+    .map(([id]) => id);
+  if (!old.length) return;
+  dropFromTrash(old);
+  saveOverlays(state.overlays, { record: false });
+  toast(`Trash: ${old.length} item(s) older than ${days} days purged`);
+}
+
+/* ---------- Override provenance ---------- */
+// Each override remembers the base values it replaced, so a newer tasks.json can be checked against it.
+const DATE_FIELDS = new Set(["start_date", "due_date"]);
+
+function baseItemIndex() {
+  const base = state.base || {};
+  return indexById((base.tasks || []).concat(base.events || []).filter((x) => x && x.id));
+}
+
+function stampOverrideBase(overlays) {
+  if (!state.base) return false;
+  const byId = baseItemIndex();
+  const version = state.base.meta?.version ?? null;
+  const records = overlays.override_base;
+  let changed = false;
+  for (const [id, patch] of Object.entries(overlays.task_overrides)) {
+    const b = byId.get(id);
+    if (!b) continue;
+    if (!records[id]) {
+      records[id] = { version, title: b.title ?? null, fields: {} };
+      changed = true;
+    }
+    const rec = records[id];
+    for (const f of Object.keys(patch)) {
+      if (f === "updated_at" || f in rec.fields) continue;
+      rec.fields[f] = b[f] ?? null;
+      changed = true;
+    }
+    for (const f of Object.keys(rec.fields)) {
+      if (!(f in patch)) {
+        delete rec.fields[f];
+        changed = true;
+      }
+    }
+  }
+  for (const id of Object.keys(records)) {
+    if (!overlays.task_overrides[id]) {
+      delete records[id];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// Overrides whose base fields changed upstream, and overrides for ids no longer in tasks.json
+function staleOverrides() {
+  if (!state.base) return [];
+  const byId = baseItemIndex();
+  const local = new Set(state.overlays.new_tasks.map((t) => t.id));
+  const out = [];
+  for (const [id, rec] of Object.entries(state.overlays.override_base)) {
+    const patch = state.overlays.task_overrides[id];
+    if (!patch) continue;
+    const b = byId.get(id);
+    if (!b) {
+      if (!local.has(id)) out.push({ id, title: patch.title || rec.title || id, version: rec.version, orphan: true, fields: [] });
+      continue;
+    }
+    const fields = Object.entries(rec.fields)
+      .filter(([f, was]) => JSON.stringify(b[f] ?? null) !== JSON.stringify(was ?? null))
+      .map(([f, was]) => ({ field: f, was, now: b[f] ?? null, mine: patch[f] ?? null }));
+    if (fields.length) out.push({ id, title: b.title || id, version: rec.version, orphan: false, fields });
+  }
+  return out;
+}
+
+function renderOverrideReview() {
+  const items = staleOverrides();
+  const version = state.base?.meta?.version;
+  document.getElementById("staleSummary").textContent = items.length
+    ? `${items.length} override${items.length === 1 ? "" : "s"} need review against tasks.json${version ? ` v${version}` : ""}.`
+    : "All overrides match the current tasks.json.";
+
+  const list = document.getElementById("staleList");
+  list.innerHTML = items
+    .map((s) => {
+      const head = `
+      <div class="ai-op__top">
+        <span class="ai-op__kind">${s.orphan ? "removed upstream" : "changed upstream"}</span>
+        <span class="muted small">${esc(s.id)}${s.version ? ` · made on v${esc(s.version)}` : ""}</span>
+      </div>
+      <div style="margin-top:6px"><strong>${esc(s.title)}</strong></div>`;
+      if (s.orphan) {
+        return `
+    <div class="ai-op">${head}
+      <div class="muted small" style="margin-top:4px">This id is no longer in tasks.json; the override has nothing to patch.</div>
+      <div class="btnrow">
+        <button class="btn danger" type="button" data-orphan="drop" data-id="${esc(s.id)}">Drop override</button>
+        <button class="btn primary" type="button" data-orphan="keep" data-id="${esc(s.id)}">Keep as local task</button>
+      </div>
+    </div>`;
+      }
+      const rows = s.fields
+        .map(
+          (f) => `
+      <div class="staleField">
+        <div class="small"><strong>${esc(FIELD_LABELS[f.field] || f.field)}</strong>:
+          base ${esc(historyValue(f.field, f.was))} → ${esc(historyValue(f.field, f.now))} ·
+          yours ${esc(historyValue(f.field, f.mine))}</div>
+        <div class="btnrow">
+          <button class="btn" type="button" data-stale="drop" data-id="${esc(s.id)}" data-field="${esc(f.field)}">Use upstream</button>
+          ${
+            DATE_FIELDS.has(f.field) && parseISODate(f.was) && parseISODate(f.now) && parseISODate(f.mine)
+              ? `<button class="btn" type="button" data-stale="reapply" data-id="${esc(s.id)}" data-field="${esc(f.field)}">Re-apply my shift</button>`
+              : ""
+          }
+          <button class="btn primary" type="button" data-stale="keep" data-id="${esc(s.id)}" data-field="${esc(f.field)}">Keep mine</button>
+        </div>
+      </div>`
+        )
+        .join("");
+      return `<div class="ai-op">${head}${rows}</div>`;
+    })
+    .join("");
+
+  list.querySelectorAll("[data-stale]").forEach((btn) =>
+    btn.addEventListener("click", () => resolveStale(btn.dataset.id, btn.dataset.field, btn.dataset.stale))
+  );
+  list.querySelectorAll("[data-orphan]").forEach((btn) =>
+    btn.addEventListener("click", () => resolveOrphan(btn.dataset.id, btn.dataset.orphan))
+  );
+  document.getElementById("btnStaleOpen").textContent = items.length ? `Review overrides (${items.length})` : "Review overrides";
+}
+
+// keep: my value stays, measured against the new base · drop: take upstream · reapply: move the new base date by my original shift
+function resolveStale(id, field, action) {
+  const patch = state.overlays.task_overrides[id];
+  const rec = state.overlays.override_base[id];
+  const b = baseItemIndex().get(id);
+  if (!patch || !rec || !b) return;
+  const before = patch[field];
+
+  if (action === "drop") {
+    delete patch[field];
+    delete rec.fields[field];
+    if (!Object.keys(patch).some((k) => k !== "updated_at")) delete state.overlays.task_overrides[id];
+  } else {
+    if (action === "reapply") {
+      const days = Math.round((parseISODate(before) - parseISODate(rec.fields[field])) / 864e5);
+      patch[field] = isoFromDate(addDays(parseISODate(b[field]), days));
+    }
+    rec.fields[field] = b[field] ?? null;
+    rec.version = state.base.meta?.version ?? rec.version;
+  }
+  const after = action === "drop" ? b[field] : patch[field];
+  if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) logChange(id, field, before, after, "upstream");
+
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  renderOverrideReview();
+  const msg = action === "drop" ? "Using upstream value" : action === "reapply" ? "Shift re-applied" : "Kept your value";
+  toast(msg, undoAction(step));
+  render();
+}
+
+function resolveOrphan(id, action) {
+  const patch = state.overlays.task_overrides[id];
+  const rec = state.overlays.override_base[id];
+  if (!patch) return;
+  if (action === "keep") {
+    const { updated_at, ...fields } = patch;
+    state.overlays.new_tasks.push({ type: "task", ...(rec?.fields || {}), title: rec?.title || id, ...fields, id });
+    logChange(id, "created", null, fields.title || rec?.title || id, "upstream");
+  }
+  delete state.overlays.task_overrides[id];
+  delete state.overlays.override_base[id];
+
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  renderOverrideReview();
+  toast(action === "keep" ? "Kept as local task" : "Override dropped", undoAction(step));
+  render();
+}
+
+/* ---------- History (edit sheet) ---------- */
+const HISTORY_SHOWN = 40;
+const FIELD_LABELS = {
+  start_date: "Start",
+  due_date: "Due",
+  owner_id: "Owner",
+  support_owner_ids: "Support",
+  estimated_minutes: "Estimate",
+  subtasks: "Checklist",
+  dependencies: "Depends on"
+};
+
+function historyValue(field, v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (field === "owner_id") return ownerName(v);
+  if (field === "support_owner_ids" && Array.isArray(v)) return v.map(ownerName).join(", ") || "—";
+  if (field === "subtasks" && Array.isArray(v)) return `${v.filter((s) => s.done).length}/${v.length} done`;
+  if (Array.isArray(v)) return v.join(", ") || "—";
+  if (typeof v === "object") return JSON.stringify(v);
+  const text = String(v);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+function renderHistory(id) {
+  const el = document.getElementById("editHistory");
+  const entries = (state.overlays.learning.change_log || []).filter((e) => e.id === id);
+  if (!entries.length) {
+    el.innerHTML = `<div class="muted small">No local changes recorded yet.</div>`;
+    return;
+  }
+  const rows = entries
+    .slice(-HISTORY_SHOWN)
+    .reverse()
+    .map((e) => {
+      const label = FIELD_LABELS[e.field] || e.field.replace(/_/g, " ");
+      let what;
+      if (e.field === "created") what = `Created “${esc(historyValue("title", e.after))}”`;
+      else if (e.field === "deleted") what = "Deleted";
+      else what = `${esc(label)}: ${esc(historyValue(e.field, e.before))} → ${esc(historyValue(e.field, e.after))}`;
+      const when = e.at ? new Date(e.at).toLocaleString() : "";
+      const cause = e.cause ? ` from ${esc(e.cause)}` : "";
+      return `
+    <div class="historyRow">
+      <div>${what}</div>
+      <div class="muted small">${esc(when)} · <span class="badge">${esc(e.source || "manual")}${cause}</span></div>
+    </div>
+  `;
+    })
+    .join("");
+  const older = entries.length - HISTORY_SHOWN;
+  el.innerHTML = rows + (older > 0 ? `<div class="muted small">${older} older change(s) not shown.</div>` : "");
+}
+
+function saveEdit() {
+  const id = document.getElementById("editId").value;
+  if (!id) return;
+
+  const patch = {
+    title: safeText(document.getElementById("editTitle").value).trim(),
+    notes: safeText(document.getElementById("editNotes").value || ""),
+    start_date: document.getElementById("editStart").value || null,
+    due_date: document.getElementById("editDue").value || null,
+    type: document.getElementById("editType").value || null,
+    priority: document.getElementById("editPriority").value
+      ? Number(document.getElementById("editPriority").value)
+      : null,
+    pillar: document.getElementById("editPillar").value || null,
+    owner_id: document.getElementById("editOwner").value || null,
+    estimated_minutes: document.getElementById("editEstimate").value
+      ? Math.max(0, Math.round(Number(document.getElementById("editEstimate").value)))
+      : null,
+    energy: document.getElementById("editEnergy").value || null,
+    support_owner_ids: Array.from(document.getElementById("editSupport").selectedOptions)
+      .map((o) => o.value)
+      .filter((v) => v !== document.getElementById("editOwner").value),
+    dependencies: Array.from(document.getElementById("editDeps").selectedOptions).map((o) => o.value)
+  };
+  if (state.editSubtasks.length || state.editHadSubtasks) patch.subtasks = state.editSubtasks.slice();
+
+  logFieldChanges(findItem(id), patch, "manual");
+  const idx = state.overlays.new_tasks.findIndex((t) => t.id === id);
+  if (idx !== -1) state.overlays.new_tasks[idx] = { ...state.overlays.new_tasks[idx], ...patch };
+  else Object.assign(ensurePatch(id), patch);
+
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  closeSheet("editSheet");
+  toast("Saved", undoAction(step));
+  render();
+}
+
+/* ---------- Diagnostics ---------- */
+function renderDiagnostics() {
+  const issues = state.diagnostics || [];
+  const rank = { error: 0, warn: 1, info: 2 };
+  const count = (lvl) => issues.filter((i) => i.level === lvl).length;
+
+  document.getElementById("diagSummary").textContent = issues.length
+    ? `${count("error")} error(s) • ${count("warn")} warning(s) • ${count("info")} note(s)`
+    : "tasks.json passed all checks.";
+
+  const list = document.getElementById("diagList");
+  list.innerHTML = issues
+    .slice()
+    .sort((a, b) => rank[a.level] - rank[b.level])
+    .map(
+      (i) => `
+    <div class="ai-op diag diag--${i.level}">
+      <div class="ai-op__top">
+        <span class="ai-op__kind">${esc(i.level)}</span>
+        ${i.id && findItem(i.id) ? `<button class="pill pill--ghost" type="button" data-jump="${esc(i.id)}">${esc(i.id)}</button>` : `<span class="muted small">${esc(i.id || "")}</span>`}
+      </div>
+      <div class="muted small" style="margin-top:6px">${esc(i.message)}</div>
+    </div>
+  `
+    )
+    .join("");
+
+  list.querySelectorAll("[data-jump]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      closeSheet("moreSheet");
+      openEdit(btn.dataset.jump);
+    });
+  });
+}
+
+/* ---------- Subtasks (edit sheet) ---------- */
+function renderSubtaskEditor() {
+  const list = state.editSubtasks;
+  const el = document.getElementById("editSubtasks");
+  const done = list.filter((x) => x.done).length;
+  document.getElementById("editSubtaskCount").textContent = list.length ? `${done}/${list.length}` : "";
+
+  el.innerHTML = list
+    .map(
+      (st, i) => `
+    <div class="subtask ${st.done ? "is-done" : ""}">
+      <button class="checkbox ${st.done ? "is-done" : ""}" type="button" data-sub-act="toggle" data-i="${i}" aria-label="Toggle subtask">
+        <span aria-hidden="true">${st.done ? "✓" : ""}</span>
+      </button>
+      <span class="subtask__text">${esc(st.text)}</span>
+      <span class="subtask__actions">
+        <button class="iconbtn sm" type="button" data-sub-act="up" data-i="${i}" aria-label="Move up" ${i === 0 ? "disabled" : ""}>↑</button>
+        <button class="iconbtn sm" type="button" data-sub-act="down" data-i="${i}" aria-label="Move down" ${i === list.length - 1 ? "disabled" : ""}>↓</button>
+        <button class="iconbtn sm" type="button" data-sub-act="promote" data-i="${i}" aria-label="Promote to task" title="Promote to task">⇪</button>
+        <button class="iconbtn sm" type="button" data-sub-act="remove" data-i="${i}" aria-label="Delete subtask">✕</button>
+      </span>
+    </div>
+  `
+    )
+    .join("");
+}
+
+function onSubtaskAction(act, i) {
+  const list = state.editSubtasks;
+  if (!list[i]) return;
+  if (act === "toggle") list[i].done = !list[i].done;
+  if (act === "remove") list.splice(i, 1);
+  if (act === "up" && i > 0) [list[i - 1], list[i]] = [list[i], list[i - 1]];
+  if (act === "down" && i < list.length - 1) [list[i + 1], list[i]] = [list[i], list[i + 1]];
+  if (act === "promote") return promoteSubtask(i);
+  renderSubtaskEditor();
+}
+
+function addSubtaskFromInput() {
+  const input = document.getElementById("editSubtaskInput");
+  const text = safeText(input.value).trim();
+  if (!text) return;
+  state.editSubtasks.push({ text, done: false });
+  input.value = "";
+  renderSubtaskEditor();
+}
+
+// Turns a checklist item into a full local task. Saves the parent's checklist immediately.
+function promoteSubtask(i) {
+  const id = document.getElementById("editId").value;
+  const parent = findItem(id);
+  const st = state.editSubtasks[i];
+  if (!parent || !st) return;
+
+  const newId = `temp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  state.overlays.new_tasks.push({
+    id: newId,
+    title: st.text,
+    type: "task",
+    priority: parent.priority ?? 2,
+    notes: `From checklist of ${parent.id}: ${safeText(parent.title)}`,
+    start_date: parent.start_date ?? null,
+    due_date: parent.due_date ?? null,
+    pillar: parent.pillar ?? null,
+    owner_id: parent.owner_id ?? null,
+    cluster: parent.cluster ?? null,
+    status: st.done ? "completed" : "open"
+  });
+  logChange(newId, "created", null, st.text, "subtask", { cause: parent.id });
+
+  state.editSubtasks.splice(i, 1);
+  const subtasks = state.editSubtasks.slice();
+  logFieldChanges(parent, { subtasks }, "subtask");
+  const idx = state.overlays.new_tasks.findIndex((t) => t.id === id);
+  if (idx !== -1) state.overlays.new_tasks[idx] = { ...state.overlays.new_tasks[idx], subtasks };
+  else ensurePatch(id).subtasks = subtasks;
+  state.editHadSubtasks = true;
+
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  renderSubtaskEditor();
+  render();
+  toast("Promoted to task", undoAction(step));
+}
+
+/* ---------- Actions sheet ---------- */
+function openActions(id, title) {
+  state.actionId = id;
+  const recurring = !!findItem(id)?.__recurring;
+  document.getElementById("actionTitle").textContent = safeText(title || id);
+  document.getElementById("btnActionEdit").hidden = recurring;
+  document.getElementById("btnActionAiRefine").hidden = recurring;
+  document.getElementById("btnActionSkip").hidden = !recurring;
+  document.getElementById("btnActionAgenda").hidden = !recurring || findItem(id).rule_id !== checkinRule()?.id;
+  openSheet("actionSheet");
+}
+
+/* ---------- Export / Import ---------- */
+function exportOverlays() {
+  dlFile(workspaceFileName("overrides.json"), JSON.stringify(state.overlays, null, 2));
+  saveMergeBase(state.overlays);
+}
+function importOverlays() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.onchange = async (e) => {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    const txt = await f.text();
+    let obj;
+    try {
+      obj = JSON.parse(txt);
+    } catch {
+      showImportReport(f.name, null);
+      return;
+    }
+    showImportReport(f.name, readOverlays(obj));
+  };
+  input.click();
+}
+
+function showImportReport(filename, result) {
+  const lines = [];
+  let importable = false;
+  if (!result) {
+    lines.push("The file is not valid JSON.");
+  } else {
+    const { ok, overlays, report } = result;
+    importable = ok || report.from > OVERLAYS_VERSION;
+    if (report.error) lines.push(report.error);
+    if (report.from !== null) {
+      if (report.from < OVERLAYS_VERSION) lines.push(`Older file (v${report.from}); it will be upgraded to v${OVERLAYS_VERSION}.`);
+      else if (report.from > OVERLAYS_VERSION) lines.push("Data this app does not understand will be kept but ignored.");
+      else lines.push(`Current format (v${OVERLAYS_VERSION}).`);
+    }
+    report.steps.forEach((st) => lines.push(`Migration ${st}`));
+    report.warnings.forEach((w) => lines.push(`Fixed: ${w}`));
+    if (importable) {
+      lines.push(
+        `Contains ${overlays.deletions.length} deletion(s), ${Object.keys(overlays.task_overrides).length} patch(es), ${overlays.new_tasks.length} new item(s).`
+      );
+    }
+  }
+
+  state.pendingImport = importable ? result.overlays : null;
+  document.getElementById("importSummary").textContent = `${filename}: ${
+    result ? describeOverlayReport(result.report) : "Invalid JSON"
+  }`;
+  document.getElementById("importLines").innerHTML = lines.map((l) => `<div class="ai-op muted small">${esc(l)}</div>`).join("");
+  document.getElementById("btnImportReplace").disabled = !importable;
+  document.getElementById("btnImportMerge").disabled = !importable;
+  openSheet("importSheet");
+}
+
+function replaceWithImport() {
+  if (!state.pendingImport) return;
+  state.overlays = state.pendingImport;
+  state.pendingImport = null;
+  const step = saveOverlays(state.overlays);
+  saveMergeBase(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  closeSheet("importSheet");
+  closeSheet("moreSheet");
+  toast("Imported overlays", undoAction(step));
+  render();
+}
+
+function mergeWithImport() {
+  if (!state.pendingImport) return;
+  const result = mergeOverlays(loadMergeBase(), state.overlays, state.pendingImport);
+  state.pendingImport = null;
+  closeSheet("importSheet");
+  if (!result.conflicts.length) {
+    applyMerge(result.merged, 0);
+    return;
+  }
+  state.pendingMerge = result;
+  showConflicts(result.conflicts, "import");
+}
+
+function conflictValue(v) {
+  if (v === undefined || v === null || v === "") return "(not set)";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function conflictLabel(c) {
+  const [kind, id, ...rest] = c.path;
+  if (kind === "task_overrides" || kind === "new_tasks") {
+    const item = findItem(id);
+    return `${id}${item?.title ? ` · ${item.title}` : ""}`;
+  }
+  if (kind === "recurrence_overrides") return `${id}${rest.length > 1 ? ` on ${rest[1]}` : ""}`;
+  if (kind === "capacity") return `Capacity · ${ownerName(id)}`;
+  return c.path.join(" / ");
+}
+
+function showConflicts(conflicts, source) {
+  state.conflictFor = source;
+  document.getElementById("conflictSummary").textContent =
+    `${conflicts.length} field${conflicts.length === 1 ? "" : "s"} changed on both sides. Pick which value to keep.`;
+  const when = (iso) => (iso ? new Date(iso).toLocaleString() : "unknown time");
+  document.getElementById("conflictList").innerHTML = conflicts
+    .map(
+      (c, i) => `
+    <div class="ai-op">
+      <div class="ai-op__top">
+        <span class="ai-op__kind">${esc(c.field)}</span>
+        <span class="muted small">${esc(conflictLabel(c))}</span>
+      </div>
+      <label class="conflictPick">
+        <input type="radio" name="conflict_${i}" value="local" ${c.pick === "local" ? "checked" : ""} />
+        <span><strong>Mine:</strong> ${esc(conflictValue(c.local))} <span class="muted small">(${esc(when(c.localAt))})</span></span>
+      </label>
+      <label class="conflictPick">
+        <input type="radio" name="conflict_${i}" value="remote" ${c.pick === "remote" ? "checked" : ""} />
+        <span><strong>Theirs:</strong> ${esc(conflictValue(c.remote))} <span class="muted small">(${esc(when(c.remoteAt))})</span></span>
+      </label>
+    </div>
+  `
+    )
+    .join("");
+  openSheet("conflictSheet");
+}
+
+function applyConflictChoices() {
+  const fromSync = state.conflictFor === "sync";
+  const pending = fromSync ? state.pendingSync : state.pendingMerge;
+  if (fromSync) state.pendingSync = null;
+  else state.pendingMerge = null;
+  state.conflictFor = null;
+  closeSheet("conflictSheet");
+  if (!pending) return;
+  const picks = pending.conflicts.map((c, i) => ({
+    ...c,
+    pick: document.querySelector(`input[name="conflict_${i}"]:checked`)?.value || c.pick
+  }));
+  const resolved = resolveConflicts(pending.merged, picks);
+  if (fromSync) {
+    pending.onApply(resolved);
+    toast(`Synced · ${picks.length} conflict(s) resolved`);
+    return;
+  }
+  applyMerge(resolved, picks.length);
+}
+
+// The conflict sheet was closed without saving: drop the import merge, or let sync start over
+function cancelConflicts() {
+  const source = state.conflictFor;
+  state.conflictFor = null;
+  if (source === "import") state.pendingMerge = null;
+  if (source === "sync" && state.pendingSync) {
+    const pending = state.pendingSync;
+    state.pendingSync = null;
+    pending.onCancel();
+  }
+}
+
+function applyMerge(merged, conflictCount) {
+  state.overlays = merged;
+  const step = saveOverlays(state.overlays);
+  saveMergeBase(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  closeSheet("moreSheet");
+  toast(conflictCount ? `Merged · ${conflictCount} conflict(s) resolved` : "Merged overlays", undoAction(step));
+  render();
+}
+function backupMerged() {
+  dlFile(workspaceFileName("merged.json"), JSON.stringify(state.merged, null, 2));
+}
+// Clean tasks.json for release: overlays folded in, temp ids renumbered, new version
+function publishBaseFile() {
+  if (!state.base) return toast("tasks.json not loaded");
+  const { data, idMap, report } = publishBase(state.base, state.overlays, { todayISO: todayLocalISO() });
+  const lines = [
+    `${report.updated} updated, ${report.added} added, ${report.deleted} deleted.`,
+    idMap.size ? `New ids: ${Array.from(idMap.values()).join(", ")}.` : "",
+    report.droppedOccurrences ? `${report.droppedOccurrences} per-meeting state(s) stay local only.` : ""
+  ].filter(Boolean);
+  if (!confirm(`Publish tasks.json v${data.meta.version}?\n\n${lines.join("\n")}`)) return;
+  dlFile(baseFileName(), JSON.stringify(data, null, 2));
+
+  // Left in place, published edits and new items would show twice once the new file is loaded
+  if (!confirm(`Clear the published changes from local overlays?\n\nThey show again once ${baseFileName()} v${data.meta.version} is loaded.`)) {
+    return toast(`Published v${data.meta.version} — replace ${baseFileName()}, then reset local overlays`);
+  }
+  state.overlays = publishedOverlays(state.base, state.overlays, idMap);
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  toast(`Published v${data.meta.version} — replace ${baseFileName()} and reload`, undoAction(step));
+  render();
+}
+/* ---------- Calendar export (.ics) ---------- */
+// Items the open view lists (with the filter bar applied); views without a list fall back to open items
+function viewItems() {
+  if (state.view === "events") return buildEvents();
+  if (["today", "week", "month", "upcoming", "completed"].includes(state.view)) return buildTaskList(state.view);
+  return buildTaskList("upcoming");
+}
+
+function calendarSelection() {
+  const merged = state.merged || {};
+  const scope = document.getElementById("icsScope").value;
+  const withDone = document.getElementById("icsCompleted").checked;
+  const f = {
+    q: "",
+    pillar: document.getElementById("icsPillar").value,
+    owner_id: document.getElementById("icsOwner").value,
+    ownerScope: "support",
+    month: "any",
+    energy: "any",
+    status: "any"
+  };
+  const rulesById = new Map((merged.recurrence_rules || []).map((r) => [r.id, r]));
+
+  let items;
+  let rules;
+  if (scope === "view") {
+    const list = viewItems();
+    items = list.filter((t) => !t.__recurring);
+    // Meetings shown in the view come from rules: export the whole series
+    rules = Array.from(new Set(list.filter((t) => t.__recurring).map((t) => t.rule_id)))
+      .map((id) => rulesById.get(id))
+      .filter(Boolean);
+  } else {
+    items = (merged.tasks || []).concat(merged.events || []).filter((t) => withDone || !isDone(t));
+    rules = merged.recurrence_rules || [];
+  }
+  if (!document.getElementById("icsRules").checked) rules = [];
+  return {
+    items: items.filter((t) => itemMatches({ ...t, __status: isDone(t) ? "completed" : "open" }, f)),
+    rules: rules.filter((r) => itemMatches(r, f))
+  };
+}
+
+function calendarOptions(sel) {
+  const meta = state.base?.meta || {};
+  return {
+    ...sel,
+    overrides: state.overlays.recurrence_overrides || {},
+    anchorISO: meta.last_updated || null,
+    todayISO: todayLocalISO(),
+    name: workspaces().length > 1 ? `NoobiOS · ${WORKSPACE.name}` : "NoobiOS",
+    timezone: meta.timezone || "",
+    uidDomain: `${WORKSPACE.id}.noobi`,
+    person: (id) => {
+      const o = ownersList(state.merged || {}).find((x) => x.owner_id === id || x.id === id);
+      return { name: o?.name || id, email: o?.email || "" };
+    },
+    pillarName: (code) => pillarLabel(code)
+  };
+}
 
-  document.getElementById("editPillar").innerHTML =
-    `<option value="">—</option>` +
-    pillars
-      .map((p) => {
-        const code = p.code || p.id || p.pillar;
-        const label = safeText(p.name || p.label || code);
-        return `<option value="${code}" ${code === item.pillar ? "selected" : ""}>${label}</option>`;
-      })
-      .join("");
+function renderCalendarSummary() {
+  const { counts } = buildCalendar(calendarOptions(calendarSelection()));
+  const total = counts.events + counts.todos + counts.series;
+  document.getElementById("icsSummary").textContent = total
+    ? `${counts.events} event(s), ${counts.todos} dated task(s), ${counts.series} recurring series.`
+    : "Nothing to export with these filters.";
+  document.getElementById("btnIcsDownload").disabled = !total;
+}
 
-  document.getElementById("editOwner").innerHTML =
-    `<option value="">—</option>` +
-    owners
-      .map((o) => {
-        const oid = o.owner_id || o.id;
-        const label = safeText(o.name || oid);
-        return `<option value="${oid}" ${oid === item.owner_id ? "selected" : ""}>${label}</option>`;
-      })
+function openCalendarExport() {
+  if (!state.merged) return toast("tasks.json not loaded");
+  const base = state.merged;
+  document.getElementById("icsOwner").innerHTML =
+    `<option value="any">All owners</option>` +
+    ownersList(base)
+      .map((o) => `<option value="${esc(o.owner_id || o.id)}">${esc(o.name || o.owner_id || o.id)}</option>`)
       .join("");
+  document.getElementById("icsPillar").innerHTML =
+    `<option value="any">All pillars</option>` +
+    pillarsList(base)
+      .map((p) => `<option value="${esc(p.code || p.id)}">${esc(p.name || p.code || p.id)}</option>`)
+      .join("");
+  document.getElementById("icsOwner").value = state.filters.owner_id;
+  document.getElementById("icsPillar").value = state.filters.pillar;
+  document.getElementById("icsViewOption").textContent = `Current view: ${viewTitleText(state.view)}`;
+  renderCalendarSummary();
+  openSheet("icsSheet");
+}
 
-  openSheet("editSheet");
+function downloadCalendar() {
+  const { text, counts } = buildCalendar(calendarOptions(calendarSelection()));
+  dlFile(workspaceFileName(`noobi-${todayLocalISO()}.ics`), text, "text/calendar");
+  closeSheet("icsSheet");
+  toast(`Exported ${counts.events + counts.todos} item(s) and ${counts.series} series`);
 }
 
-function saveEdit() {
-  const id = document.getElementById("editId").value;
-  if (!id) return;
+/* ---------- Calendar import (.ics) ---------- */
+const ICS_HORIZON_DAYS = 180; // recurring invites are expanded this far ahead
 
-  const patch = {
-    title: safeText(document.getElementById("editTitle").value).trim(),
-    notes: safeText(document.getElementById("editNotes").value || ""),
-    start_date: document.getElementById("editStart").value || null,
-    due_date: document.getElementById("editDue").value || null,
-    type: document.getElementById("editType").value || null,
-    priority: document.getElementById("editPriority").value
-      ? Number(document.getElementById("editPriority").value)
-      : null,
-    pillar: document.getElementById("editPillar").value || null,
-    owner_id: document.getElementById("editOwner").value || null
+function importCalendar() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".ics,text/calendar";
+  input.onchange = async (e) => {
+    const f = e.target.files?.[0];
+    if (!f) return;
+    let entries;
+    try {
+      entries = parseCalendar(await f.text());
+    } catch {
+      toast(`${f.name} is not a calendar file`);
+      return;
+    }
+    const base = state.merged || state.base || {};
+    const items = calendarItems(entries, {
+      todayISO: todayLocalISO(),
+      horizonDays: ICS_HORIZON_DAYS,
+      owners: ownersList(base),
+      pillars: pillarsList(base)
+    });
+
+    // Already imported (same calendar uid) or already planned (same title on the same day)
+    const existing = (base.tasks || []).concat(base.events || [], base.occurrences || []);
+    const uids = new Set(existing.map((t) => t.ics_uid).filter(Boolean));
+    const sameDay = new Set(existing.map((t) => `${safeText(t.title).trim().toLowerCase()}|${t.start_date || t.due_date}`));
+    const rows = items.map((it) => {
+      const duplicate = uids.has(it.key) || sameDay.has(`${it.title.trim().toLowerCase()}|${it.start_date || it.due_date}`);
+      return { ...it, duplicate, include: !duplicate };
+    });
+    state.pendingIcs = { name: f.name, rows };
+    openCalendarImport();
   };
+  input.click();
+}
 
-  const idx = state.overlays.new_tasks.findIndex((t) => t.id === id);
-  if (idx !== -1) state.overlays.new_tasks[idx] = { ...state.overlays.new_tasks[idx], ...patch };
-  else Object.assign(ensurePatch(id), patch);
+function openCalendarImport() {
+  const base = state.merged || state.base || {};
+  document.getElementById("icsImportOwner").innerHTML =
+    `<option value="">No owner</option>` +
+    ownersList(base)
+      .map((o) => `<option value="${esc(o.owner_id || o.id)}">${esc(o.name || o.owner_id || o.id)}</option>`)
+      .join("");
+  document.getElementById("icsImportPillar").innerHTML =
+    `<option value="">No pillar</option>` +
+    pillarsList(base)
+      .map((p) => `<option value="${esc(p.code || p.id)}">${esc(p.name || p.code || p.id)}</option>`)
+      .join("");
+  renderCalendarImport();
+  openSheet("icsImportSheet");
+}
+
+function renderCalendarImport() {
+  const pending = state.pendingIcs;
+  if (!pending) return;
+  const { rows } = pending;
+  const picked = rows.filter((r) => r.include).length;
+  const dupes = rows.filter((r) => r.duplicate).length;
+  document.getElementById("icsImportSummary").textContent = rows.length
+    ? `${pending.name}: ${rows.length} item(s)${dupes ? `, ${dupes} already in the plan` : ""}. ${picked} selected.`
+    : `${pending.name}: no events or to-dos from today onwards.`;
+
+  document.getElementById("icsImportList").innerHTML = rows
+    .map((r, i) => {
+      const dates = r.due_date && r.due_date !== r.start_date ? `${r.start_date || "—"} → ${r.due_date}` : r.start_date || r.due_date;
+      const people = [r.owner_id && ownerName(r.owner_id), ...r.support_owner_ids.map(ownerName)].filter(Boolean);
+      return `
+      <label class="ai-op icsRow">
+        <div class="ai-op__top">
+          <span class="checkline"><input type="checkbox" data-ics-row="${i}" ${r.include ? "checked" : ""} /> <strong>${esc(r.title)}</strong></span>
+          <span class="ai-op__kind">${esc(r.type)}</span>
+        </div>
+        <div class="muted small">
+          ${esc(dates)}${r.recurring ? " · ↻" : ""} · ${people.length ? esc(people.join(", ")) : "no matching owner"}${r.pillar ? ` · ${esc(pillarLabel(r.pillar))}` : ""}
+          ${r.duplicate ? `<span class="badge warn">already in plan</span>` : ""}
+        </div>
+      </label>`;
+    })
+    .join("");
+  document.getElementById("btnIcsImport").disabled = !picked;
+  document.getElementById("btnIcsImport").textContent = picked ? `Import ${picked}` : "Import";
+}
 
-  saveOverlays(state.overlays);
+function applyCalendarImport() {
+  const pending = state.pendingIcs;
+  if (!pending) return;
+  const owner = document.getElementById("icsImportOwner").value || null;
+  const pillar = document.getElementById("icsImportPillar").value || null;
+  const picked = pending.rows.filter((r) => r.include);
+
+  for (const r of picked) {
+    const id = `temp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    const task = {
+      id,
+      title: r.title,
+      notes: r.notes,
+      start_date: r.start_date,
+      due_date: r.due_date,
+      type: r.type,
+      priority: r.priority,
+      pillar: r.pillar || pillar,
+      owner_id: r.owner_id || owner,
+      ics_uid: r.key
+    };
+    if (r.support_owner_ids.length) task.support_owner_ids = r.support_owner_ids;
+    if (r.status) task.status = r.status;
+    state.overlays.new_tasks.push(task);
+    logChange(id, "created", null, task.title, "calendar");
+  }
+
+  state.pendingIcs = null;
+  const step = saveOverlays(state.overlays);
   state.merged = mergeData(state.base, state.overlays);
-  closeSheet("editSheet");
-  toast("Saved");
+  closeSheet("icsImportSheet");
+  toast(`Imported ${picked.length} item(s) from ${pending.name}`, undoAction(step));
   render();
 }
 
-/* ---------- Actions sheet ---------- */
-function openActions(id, title) {
-  state.actionId = id;
-  document.getElementById("actionTitle").textContent = safeText(title || id);
-  openSheet("actionSheet");
+/* ---------- CSV export / import ---------- */
+function exportCsv() {
+  const items = viewItems().filter((t) => !t.__recurring);
+  if (!items.length) return toast("Nothing to export in this view");
+  const names = (ids) => (ids || []).map((id) => ownerName(id)).join("; ");
+  const text = toCsv(items, (t, key) => {
+    if (key === "owner_id") return t.owner_id ? ownerName(t.owner_id) : "";
+    if (key === "support_owner_ids") return names(supportOwnerIds(t));
+    if (key === "donor_stream") return t.donor?.stream || "";
+    if (key === "status") return isDone(t) ? "completed" : "open";
+    if (key === "dependencies") return depsOf(t).join("; ");
+    return t[key] ?? "";
+  });
+  dlFile(workspaceFileName(`noobi-${state.view}-${todayLocalISO()}.csv`), text, "text/csv");
+  toast(`Exported ${items.length} row(s)`);
 }
 
-/* ---------- Export / Import ---------- */
-function exportOverlays() {
-  dlFile("overrides.json", JSON.stringify(state.overlays, null, 2));
-}
-function importOverlays() {
+function importCsv() {
   const input = document.createElement("input");
   input.type = "file";
-  input.accept = ".json,application/json";
+  input.accept = ".csv,text/csv,.tsv,text/tab-separated-values";
   input.onchange = async (e) => {
     const f = e.target.files?.[0];
     if (!f) return;
-    const txt = await f.text();
-    try {
-      const obj = JSON.parse(txt);
-      state.overlays = { ...defaultOverlays(), ...obj };
-      saveOverlays(state.overlays);
-      state.merged = mergeData(state.base, state.overlays);
-      toast("Imported overlays");
-      render();
-    } catch {
-      toast("Invalid JSON");
-    }
+    const [headers, ...rows] = parseCsv(await f.text());
+    if (!headers || !rows.length) return toast(`${f.name} has no data rows`);
+    const mapping = guessMapping(headers);
+    state.pendingCsv = {
+      name: f.name,
+      headers,
+      rows,
+      mapping,
+      dateFormat: csvDateFormat(rows, mapping) || "DD/MM/YYYY",
+      existing: "update",
+      include: new Map() // row → choice made in the preview
+    };
+    renderCsvMapping();
+    renderCsvPreview();
+    openSheet("csvSheet");
   };
   input.click();
 }
-function backupMerged() {
-  dlFile("merged.json", JSON.stringify(state.merged, null, 2));
+
+// One format for all date columns, detected from their values together
+function csvDateFormat(rows, mapping) {
+  const cols = mapping.map((k, i) => (CSV_FIELDS.find((f) => f.key === k)?.date ? i : -1)).filter((i) => i >= 0);
+  return detectDateFormat(rows.flatMap((r) => cols.map((i) => r[i])));
+}
+
+function csvOwnerId(text) {
+  const v = text.trim();
+  return matchOwner({ owner_id: v, name: v, email: v.includes("@") ? v.toLowerCase() : "" }, ownersList(state.merged || {}));
+}
+function csvPillar(text) {
+  const k = text.trim().toLowerCase();
+  const p = pillarsList(state.merged || {}).find((x) => [x.code, x.id, x.name].some((v) => v && String(v).toLowerCase() === k));
+  return p ? p.code || p.id : null;
+}
+
+function renderCsvMapping() {
+  const p = state.pendingCsv;
+  const options = (sel) =>
+    `<option value="">— ignore —</option>` +
+    CSV_FIELDS.map((f) => `<option value="${f.key}" ${f.key === sel ? "selected" : ""}>${esc(f.label)}</option>`).join("");
+  document.getElementById("csvMapping").innerHTML = p.headers
+    .map(
+      (h, i) => `
+      <div class="csvMapRow">
+        <div>
+          <strong>${esc(h) || `Column ${i + 1}`}</strong>
+          <div class="muted small">${esc(p.rows[0]?.[i] || "")}</div>
+        </div>
+        <select data-csv-col="${i}" aria-label="Field for ${esc(h)}">${options(p.mapping[i])}</select>
+      </div>`
+    )
+    .join("");
+  document.getElementById("csvDateFormat").innerHTML = DATE_FORMATS.map(
+    (f) => `<option value="${f}" ${f === p.dateFormat ? "selected" : ""}>${f}</option>`
+  ).join("");
+  document.getElementById("csvExisting").value = p.existing;
+}
+
+// What importing each row would do: create, update an existing id, skip, or nothing (problem rows)
+function csvPlan() {
+  const p = state.pendingCsv;
+  const merged = state.merged || {};
+  const byId = indexById((merged.tasks || []).concat(merged.events || []));
+  const sameTitle = new Map(
+    (merged.tasks || []).concat(merged.events || []).map((t) => [`${safeText(t.title).trim().toLowerCase()}|${t.due_date || ""}`, t.id])
+  );
+  return rowsToItems(p.rows, p.mapping, {
+    dateFormats: { start_date: p.dateFormat, due_date: p.dateFormat },
+    resolveOwner: csvOwnerId,
+    resolvePillar: csvPillar
+  }).map((r) => {
+    const existing = r.item.id ? byId.get(r.item.id) : null;
+    const twin = existing ? null : sameTitle.get(`${(r.item.title || "").trim().toLowerCase()}|${r.item.due_date || ""}`);
+    const action = existing ? (p.existing === "update" ? "update" : "skip") : "new";
+    const usable = action !== "skip" && (existing || r.item.title);
+    const include = p.include.has(r.row) ? p.include.get(r.row) && usable : usable && !twin;
+    return { ...r, existing, twin, action, usable, include };
+  });
+}
+
+function renderCsvPreview() {
+  const p = state.pendingCsv;
+  if (!p) return;
+  const plan = csvPlan();
+  const picked = plan.filter((r) => r.include);
+  const added = picked.filter((r) => r.action === "new").length;
+  document.getElementById("csvSummary").textContent = `${p.name}: ${p.rows.length} row(s). ${added} new, ${picked.length - added} update(s) selected.`;
+  document.getElementById("csvPreview").innerHTML = plan
+    .map((r) => {
+      const it = r.item;
+      const badge =
+        r.action === "update"
+          ? `<span class="badge">updates ${esc(r.existing.id)}</span>`
+          : r.action === "skip"
+            ? `<span class="badge">skipped: ${esc(r.existing.id)} exists</span>`
+            : r.twin
+              ? `<span class="badge warn">looks like ${esc(r.twin)}</span>`
+              : `<span class="badge ok">new</span>`;
+      return `
+      <label class="ai-op icsRow">
+        <div class="ai-op__top">
+          <span class="checkline"><input type="checkbox" data-csv-row="${r.row}" ${r.include ? "checked" : ""} ${r.usable ? "" : "disabled"} /> <strong>${esc(it.title || r.existing?.title || "(no title)")}</strong></span>
+          ${badge}
+        </div>
+        <div class="muted small">${esc([it.owner_id && ownerName(it.owner_id), it.pillar, it.start_date, it.due_date && `due ${it.due_date}`].filter(Boolean).join(" · ") || "—")}</div>
+        ${r.problems.length ? `<div class="small capWarn">${esc(r.problems.join(" · "))}</div>` : ""}
+      </label>`;
+    })
+    .join("");
+  const btn = document.getElementById("btnCsvImport");
+  btn.disabled = !picked.length;
+  btn.textContent = picked.length ? `Import ${picked.length}` : "Import";
+}
+
+function applyCsvImport() {
+  const p = state.pendingCsv;
+  if (!p) return;
+  const plan = csvPlan().filter((r) => r.include);
+  const merged = state.merged || {};
+  // The plan as rows are applied, so later rows see earlier rows' ids and dependencies
+  const working = (merged.tasks || []).concat(merged.events || []).map((t) => ({ ...t }));
+  const taken = new Set([
+    ...working.map((t) => t.id),
+    ...(merged.recurrence_rules || []).map((r) => r.id),
+    ...(merged.occurrences || []).map((o) => o.id),
+    ...(state.overlays.deletions || []),
+    ...Object.keys(state.overlays.trash || {})
+  ]);
+  // Same rule as the edit sheet's dependency picker: nothing that would close a loop
+  let dropped = 0;
+  const safeDeps = (id, deps) => {
+    const ok = deps.filter((d) => !wouldCreateCycle(id, d, working));
+    dropped += deps.length - ok.length;
+    return ok;
+  };
+  const now = new Date().toISOString();
+  // Blank cells leave existing values alone
+  const filled = (item) =>
+    Object.fromEntries(Object.entries(item).filter(([k, v]) => k !== "id" && v !== null && !(Array.isArray(v) && !v.length)));
+
+  let added = 0;
+  let updated = 0;
+  for (const r of plan) {
+    const values = filled(r.item);
+    if (r.action === "update") {
+      const patch = { ...values };
+      if (patch.dependencies) patch.dependencies = safeDeps(r.existing.id, patch.dependencies);
+      if (patch.donor) patch.donor = { ...(r.existing.donor || {}), ...patch.donor };
+      // "open" is what export writes for a task with no status at all
+      if (patch.status === getStatus(r.existing)) delete patch.status;
+      else if (patch.status) patch.completed_at = patch.status === "completed" ? r.existing.completed_at || now : null;
+      for (const [k, v] of Object.entries(patch)) if (JSON.stringify(r.existing[k] ?? null) === JSON.stringify(v)) delete patch[k];
+      if (!Object.keys(patch).length) continue;
+      logFieldChanges(r.existing, patch, "csv");
+      const idx = state.overlays.new_tasks.findIndex((t) => t.id === r.existing.id);
+      if (idx !== -1) state.overlays.new_tasks[idx] = { ...state.overlays.new_tasks[idx], ...patch };
+      else Object.assign(ensurePatch(r.existing.id), patch);
+      if (patch.dependencies) working.find((t) => t.id === r.existing.id).dependencies = patch.dependencies;
+      updated++;
+    } else {
+      // Spreadsheet ids are kept unless already used (by an item, rule, deleted item or earlier row)
+      const id =
+        r.item.id && !taken.has(r.item.id) ? r.item.id : `temp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+      taken.add(id);
+      const task = { type: "task", priority: 2, ...values, id };
+      if (task.dependencies) task.dependencies = safeDeps(id, task.dependencies);
+      if (task.status === "completed") task.completed_at = now;
+      state.overlays.new_tasks.push(task);
+      working.push({ ...task });
+      logChange(id, "created", null, task.title, "csv");
+      added++;
+    }
+  }
+
+  state.pendingCsv = null;
+  closeSheet("csvSheet");
+  if (!added && !updated) return toast("Nothing changed");
+  const step = saveOverlays(state.overlays);
+  state.merged = mergeData(state.base, state.overlays);
+  const loops = dropped ? ` · ${dropped} looping dependenc${dropped === 1 ? "y" : "ies"} skipped` : "";
+  toast(`CSV: ${added} added, ${updated} updated${loops}`, undoAction(step));
+  render();
 }
+
 function resetOverlays() {
   if (!confirm("Reset local overlays? This deletes completions, edits, and new tasks.")) return;
   state.overlays = defaultOverlays();
-  saveOverlays(state.overlays);
+  const step = saveOverlays(state.overlays);
   state.merged = mergeData(state.base, state.overlays);
-  toast("Reset");
+  toast("Reset", undoAction(step));
   render();
 }
 
@@ -1101,6 +3254,7 @@ function applyOpsArray(ops) {
           : `temp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
 
       const fields = o.fields || {};
+      logChange(id, "created", null, fields.title || "Untitled", "ai");
       state.overlays.new_tasks.push({
         id,
         title: safeText(fields.title || "Untitled"),
@@ -1118,6 +3272,7 @@ function applyOpsArray(ops) {
     }
 
     if (o.op === "update") {
+      logFieldChanges(findItem(o.id) || { id: o.id }, o.fields, "ai");
       Object.assign(ensurePatch(o.id), o.fields || {});
     }
 
@@ -1126,6 +3281,7 @@ function applyOpsArray(ops) {
       patch.status = "completed";
       patch.completed_at = new Date().toISOString();
       logComplete(o.id, true);
+      logChange(o.id, "status", null, "completed", "ai");
     }
 
     if (o.op === "undo_complete") {
@@ -1133,30 +3289,29 @@ function applyOpsArray(ops) {
       patch.status = "open";
       patch.completed_at = null;
       logComplete(o.id, false);
+      logChange(o.id, "status", "completed", "open", "ai");
     }
 
     if (o.op === "delete") {
-      if (!state.overlays.deletions.includes(o.id)) state.overlays.deletions.push(o.id);
-      delete state.overlays.task_overrides[o.id];
-      state.overlays.new_tasks = state.overlays.new_tasks.filter((t) => t.id !== o.id);
+      moveToTrash(o.id, "ai");
     }
   }
 
-  saveOverlays(state.overlays);
+  const step = saveOverlays(state.overlays);
   state.merged = mergeData(state.base, state.overlays);
-  return ops.length;
+  return { applied: ops.length, step };
 }
 
 function applyAiOps(payload) {
   const ops = payload?.ops || [];
   if (!ops.length) return toast("No ops to apply");
 
-  applyOpsArray(ops);
+  const { step } = applyOpsArray(ops);
 
   state.pendingAiPayload = null;
   closeSheet("aiReviewSheet");
   renderAiHint();
-  toast("Applied AI suggestions");
+  toast("Applied AI suggestions", undoAction(step));
   render();
 }
 
@@ -1229,7 +3384,7 @@ async function aiRefineTaskById(id, { origin = "manual" } = {}) {
   toast("AI refining…");
 
   try {
-    const ctx = await buildAiContext(state.merged, state.overlays, { origin });
+    const ctx = await buildAiContext(state.merged, state.overlays, { origin, referenceUrl: WORKSPACE.reference_url });
     const payload = await runRefineTask({ task: t, context: ctx });
 
     if (!payload || !Array.isArray(payload.ops)) {
@@ -1241,8 +3396,9 @@ async function aiRefineTaskById(id, { origin = "manual" } = {}) {
     const { autoOps, reviewOps } = splitAiOpsForAutoApply(payload);
 
     let didAuto = 0;
+    let autoStep = null;
     if (autoOps.length) {
-      didAuto = applyOpsArray(autoOps);
+      ({ applied: didAuto, step: autoStep } = applyOpsArray(autoOps));
     }
 
     if (reviewOps.length) {
@@ -1261,7 +3417,7 @@ async function aiRefineTaskById(id, { origin = "manual" } = {}) {
     state.pendingAiPayload = null;
     closeSheet("aiReviewSheet");
     renderAiHint();
-    toast(didAuto ? "Refined" : "No changes needed");
+    toast(didAuto ? "Refined" : "No changes needed", undoAction(autoStep));
     render();
   } catch (e) {
     console.error(e);
@@ -1276,7 +3432,10 @@ async function aiRebalanceToday() {
   toast("AI rebalancing…");
 
   try {
-    const ctx = await buildAiContext(state.merged, state.overlays, { origin: "rebalance_today" });
+    const ctx = await buildAiContext(state.merged, state.overlays, {
+      origin: "rebalance_today",
+      referenceUrl: WORKSPACE.reference_url
+    });
 
     const today = todayLocalISO();
     const open = decorateTasks(state.merged?.tasks || []).filter((t) => t.__status === "open");
@@ -1295,6 +3454,107 @@ async function aiRebalanceToday() {
   }
 }
 
+/* ---------- Check-in agenda ---------- */
+const CHECKIN_RULE_ID = "REC-001";
+const AGENDA_PAST_WEEKS = 8; // meetings offered in the picker
+const AGENDA_AHEAD_WEEKS = 4;
+
+// The team check-in: REC-001, or the first weekly rule in plans that number their rules differently
+function checkinRule() {
+  const rules = state.merged?.recurrence_rules || [];
+  return rules.find((r) => r.id === CHECKIN_RULE_ID) || rules.find((r) => (r.frequency || "").toUpperCase() === "WEEKLY") || null;
+}
+
+// Effective meeting dates (skipped ones dropped, moved ones on their new day), oldest first.
+// One extra week back so the oldest meeting offered still has a previous one.
+function checkinDates(rule) {
+  const today = parseISODate(todayLocalISO());
+  const occ = expandRecurrence([rule], state.overlays.recurrence_overrides || {}, {
+    fromISO: isoFromDate(addDays(today, -7 * (AGENDA_PAST_WEEKS + 1))),
+    toISO: isoFromDate(addDays(today, 7 * AGENDA_AHEAD_WEEKS)),
+    anchorISO: state.base?.meta?.last_updated || null
+  });
+  return uniq(occ.map((o) => o.start_date)).sort();
+}
+
+function currentAgenda() {
+  const rule = (state.merged?.recurrence_rules || []).find((r) => r.id === state.agendaRuleId);
+  const meetingISO = document.getElementById("agendaDate").value;
+  if (!rule || !meetingISO) return null;
+  const merged = state.merged || {};
+  // The check-in's own occurrences are not agenda items
+  const items = decorateTasks((merged.tasks || []).concat((merged.occurrences || []).filter((o) => o.rule_id !== rule.id)));
+  const learning = state.overlays.learning || {};
+  const agenda = buildAgenda({
+    meetingISO,
+    previousISO: checkinDates(rule).filter((d) => d < meetingISO).pop() || null,
+    items,
+    completionLog: learning.completion_log || [],
+    moveLog: learning.move_log || [],
+    findItem
+  });
+  return {
+    agenda,
+    opts: { title: rule.title || rule.id, meta: state.base?.meta || {}, ownerLabel: (id) => (id ? ownerName(id) : "Unassigned") }
+  };
+}
+
+function renderAgenda() {
+  const cur = currentAgenda();
+  const preview = document.getElementById("agendaPreview");
+  if (!cur) {
+    preview.innerHTML = "";
+    return;
+  }
+  const { agenda, opts } = cur;
+  const overdue = agenda.overdue.reduce((n, g) => n + g.items.length, 0);
+  document.getElementById("agendaSummary").textContent =
+    `Since ${agenda.since}: ${agenda.done.length} done · ${overdue} overdue · ${agenda.dueThisWeek.length} due that week · ` +
+    `${agenda.blocked.length} blocked · ${agenda.slips.length} slipped`;
+  preview.innerHTML = agendaSectionsHtml(agenda, opts);
+}
+
+function openAgenda(meetingISO = null) {
+  if (!state.merged) return toast("tasks.json not loaded");
+  const rule = checkinRule();
+  if (!rule) return toast("No weekly check-in in this plan");
+  const today = todayLocalISO();
+  const oldest = isoFromDate(addDays(parseISODate(today), -7 * AGENDA_PAST_WEEKS));
+  const dates = checkinDates(rule).filter((d) => d >= oldest);
+  if (!dates.length) return toast(`${rule.title || rule.id} has no meetings around now`);
+
+  state.agendaRuleId = rule.id;
+  const next = dates.find((d) => d >= today) || dates[dates.length - 1];
+  const sel = document.getElementById("agendaDate");
+  sel.innerHTML = dates
+    .slice()
+    .reverse()
+    .map((d) => `<option value="${d}">${d}${d === today ? " (today)" : d === next ? " (next)" : ""}</option>`)
+    .join("");
+  sel.value = meetingISO && dates.includes(meetingISO) ? meetingISO : next;
+  document.getElementById("agendaTitle").textContent = `${safeText(rule.title || rule.id)} agenda`;
+  renderAgenda();
+  openSheet("agendaSheet");
+}
+
+function printAgenda() {
+  const cur = currentAgenda();
+  if (!cur) return;
+  const w = window.open("", "_blank");
+  if (!w) return toast("Allow pop-ups to print the agenda");
+  w.document.write(agendaHtml(cur.agenda, cur.opts));
+  w.document.close();
+  w.focus();
+  w.print();
+}
+
+function downloadAgendaMarkdown() {
+  const cur = currentAgenda();
+  if (!cur) return;
+  dlFile(workspaceFileName(`checkin-${cur.agenda.meetingISO}.md`), agendaMarkdown(cur.agenda, cur.opts), "text/markdown");
+  toast(`Exported agenda for ${cur.agenda.meetingISO}`);
+}
+
 /* ---------- AI settings UI ---------- */
 function loadAiSettingsIntoUI() {
   const s = loadAiSettings();
@@ -1307,6 +3567,14 @@ function loadAiSettingsIntoUI() {
   document.getElementById("aiRememberKey").checked = !!s.rememberKey;
   document.getElementById("aiKey").value = s.rememberKey ? s.apiKey || "" : "";
 }
+function loadPrefsIntoUI() {
+  document.getElementById("prefCascade").checked = !!state.prefs.cascade;
+  const s = syncSettings();
+  document.getElementById("prefSyncEnabled").checked = s.syncEnabled;
+  document.getElementById("prefSyncEndpoint").value = s.syncEndpoint;
+  document.getElementById("prefSyncToken").value = s.syncToken;
+  renderWorkspaceSettings();
+}
 
 /* ---------- Wiring ---------- */
 function wireUI() {
@@ -1322,10 +3590,18 @@ function wireUI() {
     state.filters.owner_id = e.target.value;
     render();
   });
+  document.getElementById("filterOwnerScope").addEventListener("change", (e) => {
+    state.filters.ownerScope = e.target.value;
+    render();
+  });
   document.getElementById("filterMonth").addEventListener("change", (e) => {
     state.filters.month = e.target.value;
     render();
   });
+  document.getElementById("filterEnergy").addEventListener("change", (e) => {
+    state.filters.energy = e.target.value;
+    render();
+  });
   document.getElementById("filterStatus").addEventListener("change", (e) => {
     state.filters.status = e.target.value;
     render();
@@ -1352,6 +3628,10 @@ function wireUI() {
 
   document.getElementById("btnMore").addEventListener("click", () => {
     loadAiSettingsIntoUI();
+    loadPrefsIntoUI();
+    renderCapacitySettings();
+    renderDiagnostics();
+    renderOverrideReview();
     openSheet("moreSheet");
   });
 
@@ -1359,7 +3639,10 @@ function wireUI() {
 
   // Close sheets
   document.querySelectorAll("[data-close]").forEach((el) =>
-    el.addEventListener("click", () => closeSheet(el.dataset.close))
+    el.addEventListener("click", () => {
+      closeSheet(el.dataset.close);
+      if (el.dataset.close === "conflictSheet") cancelConflicts();
+    })
   );
 
   // FAB / Quick add
@@ -1369,10 +3652,22 @@ function wireUI() {
 
   // Edit save / delete
   document.getElementById("btnEditSave").addEventListener("click", saveEdit);
+
+  // Edit sheet checklist
+  document.getElementById("editSubtasks").addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-sub-act]");
+    if (btn) onSubtaskAction(btn.dataset.subAct, Number(btn.dataset.i));
+  });
+  document.getElementById("btnSubtaskAdd").addEventListener("click", addSubtaskFromInput);
+  document.getElementById("editSubtaskInput").addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    addSubtaskFromInput();
+  });
   document.getElementById("btnDelete").addEventListener("click", () => {
     const id = document.getElementById("editId").value;
     if (!id) return;
-    if (!confirm("Delete this item? (Stored as deletion overlay.)")) return;
+    if (!confirm("Delete this item? (You can restore it from More › Trash.)")) return;
     closeSheet("editSheet");
     deleteItem(id);
   });
@@ -1412,6 +3707,16 @@ function wireUI() {
     deferOneDay(state.actionId);
     closeSheet("actionSheet");
   });
+  document.getElementById("btnActionSkip").addEventListener("click", () => {
+    if (!state.actionId) return;
+    skipOccurrence(state.actionId);
+    closeSheet("actionSheet");
+  });
+  document.getElementById("btnActionAgenda").addEventListener("click", () => {
+    const occ = findItem(state.actionId);
+    closeSheet("actionSheet");
+    openAgenda(occ?.start_date);
+  });
   document.getElementById("btnActionAiRefine").addEventListener("click", async () => {
     if (!state.actionId) return;
     closeSheet("actionSheet");
@@ -1436,11 +3741,12 @@ function wireUI() {
       pillar: null,
       owner_id: null
     });
+    logChange(newId, "created", null, v, "manual");
 
     inboxInput.value = "";
-    saveOverlays(state.overlays);
+    const step = saveOverlays(state.overlays);
     state.merged = mergeData(state.base, state.overlays);
-    toast("Inbox captured");
+    toast("Inbox captured", undoAction(step));
     render();
 
     const ai = loadAiSettings();
@@ -1454,8 +3760,122 @@ function wireUI() {
   document.getElementById("btnExportOverlays").addEventListener("click", exportOverlays);
   document.getElementById("btnImportOverlays").addEventListener("click", importOverlays);
   document.getElementById("btnBackupMerged").addEventListener("click", backupMerged);
+  document.getElementById("btnPublishBase").addEventListener("click", publishBaseFile);
+  document.getElementById("btnExportIcs").addEventListener("click", () => {
+    closeSheet("moreSheet");
+    openCalendarExport();
+  });
+  ["icsScope", "icsOwner", "icsPillar", "icsRules", "icsCompleted"].forEach((id) =>
+    document.getElementById(id).addEventListener("change", renderCalendarSummary)
+  );
+  document.getElementById("btnIcsDownload").addEventListener("click", downloadCalendar);
+  document.getElementById("btnImportIcs").addEventListener("click", () => {
+    closeSheet("moreSheet");
+    importCalendar();
+  });
+  document.getElementById("icsImportList").addEventListener("change", (e) => {
+    const box = e.target.closest("[data-ics-row]");
+    if (!box || !state.pendingIcs) return;
+    state.pendingIcs.rows[Number(box.dataset.icsRow)].include = box.checked;
+    renderCalendarImport();
+  });
+  document.getElementById("btnIcsImport").addEventListener("click", applyCalendarImport);
+  document.getElementById("btnExportCsv").addEventListener("click", exportCsv);
+  document.getElementById("btnImportCsv").addEventListener("click", () => {
+    closeSheet("moreSheet");
+    importCsv();
+  });
+  document.getElementById("csvMapping").addEventListener("change", (e) => {
+    const sel = e.target.closest("[data-csv-col]");
+    const p = state.pendingCsv;
+    if (!sel || !p) return;
+    const col = Number(sel.dataset.csvCol);
+    // A field maps from one column: picking it here frees it elsewhere
+    p.mapping = p.mapping.map((k, i) => (i === col ? sel.value || null : k === sel.value ? null : k));
+    renderCsvMapping();
+    renderCsvPreview();
+  });
+  document.getElementById("csvDateFormat").addEventListener("change", (e) => {
+    if (!state.pendingCsv) return;
+    state.pendingCsv.dateFormat = e.target.value;
+    renderCsvPreview();
+  });
+  document.getElementById("csvExisting").addEventListener("change", (e) => {
+    if (!state.pendingCsv) return;
+    state.pendingCsv.existing = e.target.value;
+    renderCsvPreview();
+  });
+  document.getElementById("csvPreview").addEventListener("change", (e) => {
+    const box = e.target.closest("[data-csv-row]");
+    if (!box || !state.pendingCsv) return;
+    state.pendingCsv.include.set(Number(box.dataset.csvRow), box.checked);
+    renderCsvPreview();
+  });
+  document.getElementById("btnCsvImport").addEventListener("click", applyCsvImport);
+  document.getElementById("btnAgenda").addEventListener("click", () => {
+    closeSheet("moreSheet");
+    openAgenda();
+  });
+  document.getElementById("agendaDate").addEventListener("change", renderAgenda);
+  document.getElementById("btnAgendaPrint").addEventListener("click", printAgenda);
+  document.getElementById("btnAgendaMd").addEventListener("click", downloadAgendaMarkdown);
   document.getElementById("btnResetOverlays").addEventListener("click", resetOverlays);
 
+  // Planning prefs
+  document.getElementById("prefCascade").addEventListener("change", (e) => {
+    state.prefs.cascade = e.target.checked;
+    savePrefs(state.prefs);
+    toast(state.prefs.cascade ? "Cascade on" : "Cascade off");
+  });
+
+  // Trash
+  document.getElementById("btnOpenTrash").addEventListener("click", () => {
+    renderTrash();
+    openSheet("trashSheet");
+  });
+  document.getElementById("btnTrashEmpty").addEventListener("click", () => purgeFromTrash(trashEntries().map((e) => e.id)));
+  document.getElementById("trashDays").addEventListener("change", (e) => {
+    state.prefs.trashDays = Math.max(0, Math.round(Number(e.target.value) || 0));
+    savePrefs(state.prefs);
+    e.target.value = state.prefs.trashDays;
+    toast(state.prefs.trashDays ? `Trash keeps items ${state.prefs.trashDays} days` : "Trash keeps items until emptied");
+  });
+
+  // Sync
+  document.getElementById("btnSyncSave").addEventListener("click", saveSyncSettings);
+  document.getElementById("workspaceSelect").addEventListener("change", (e) => switchWorkspace(e.target.value));
+  document.getElementById("btnAllToday").addEventListener("click", () => setView("all"));
+  document.getElementById("btnWorkspaceAdd").addEventListener("click", addWorkspace);
+  document.getElementById("workspaceList").addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-ws-remove]");
+    if (btn) removeWorkspace(btn.dataset.wsRemove);
+  });
+  document.getElementById("btnSyncNow").addEventListener("click", () => {
+    if (!sync.client) return toast("Sync is off");
+    runSync();
+  });
+  document.getElementById("syncStatus").addEventListener("click", () => {
+    if (sync.status === "conflict" && state.pendingSync) return showConflicts(state.pendingSync.conflicts, "sync");
+    runSync();
+  });
+  window.addEventListener("online", () => scheduleSync(0));
+  setInterval(() => scheduleSync(0), SYNC_INTERVAL_MS);
+
+  // Stale overrides
+  document.getElementById("btnStaleOpen").addEventListener("click", () => {
+    renderOverrideReview();
+    openSheet("staleSheet");
+  });
+
+  // Import report
+  document.getElementById("btnImportReplace").addEventListener("click", replaceWithImport);
+  document.getElementById("btnImportMerge").addEventListener("click", mergeWithImport);
+  document.getElementById("btnConflictApply").addEventListener("click", applyConflictChoices);
+
+  // Cascade preview
+  document.getElementById("btnCascadeAll").addEventListener("click", () => resolveCascade(true));
+  document.getElementById("btnCascadeOnly").addEventListener("click", () => resolveCascade(false));
+
   // AI hint
   document.getElementById("btnAiHintOpen").addEventListener("click", () => openSheet("aiReviewSheet"));
 
@@ -1500,37 +3920,307 @@ function wireUI() {
     renderAiHint();
   });
 
+  // Undo / redo
+  document.getElementById("toast").addEventListener("click", (e) => {
+    if (!e.target.closest("[data-action]")) return;
+    const action = toast._action;
+    e.currentTarget.hidden = true;
+    action?.run();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    // Leave text fields their own undo
+    if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) redo();
+    else undo();
+  });
+
   // Escape closes
   document.addEventListener("keydown", (e) => {
     if (e.key !== "Escape") return;
-    ["editSheet", "quickAddSheet", "moreSheet", "actionSheet", "aiReviewSheet"].forEach((id) => {
+    ["editSheet", "quickAddSheet", "moreSheet", "actionSheet", "aiReviewSheet", "cascadeSheet", "importSheet", "conflictSheet", "trashSheet", "staleSheet", "icsSheet", "icsImportSheet", "csvSheet", "agendaSheet"].forEach((id) => {
       const el = document.getElementById(id);
-      if (el && !el.hidden) el.hidden = true;
+      if (!el || el.hidden) return;
+      el.hidden = true;
+      if (id === "conflictSheet") cancelConflicts();
+    });
+  });
+}
+
+/* ---------- Workspaces ---------- */
+// Other workspaces are read-only here: loaded for the All view and kept until it is opened again
+const workspaceSnapshots = new Map();
+let allTodayRun = 0;
+
+function workspaces() {
+  return normalizeWorkspaces(state.prefs.workspaces);
+}
+function baseFileName() {
+  return WORKSPACE.base_url.split("/").pop() || "tasks.json";
+}
+// Downloads from other workspaces carry their id so files cannot be imported into the wrong plan by accident
+function workspaceFileName(name) {
+  return WORKSPACE.id === DEFAULT_WORKSPACE_ID ? name : `${WORKSPACE.id}-${name}`;
+}
+
+async function switchWorkspace(id) {
+  if (id === WORKSPACE.id) return;
+  state.prefs.workspace = id;
+  savePrefs(state.prefs);
+  // Let queued writes land before the page goes away
+  await storage?.save(state.overlays).catch(() => {});
+  location.reload();
+}
+
+function renderWorkspaceSwitcher() {
+  const list = workspaces();
+  const row = document.getElementById("workspaceRow");
+  row.hidden = list.length < 2;
+  document.getElementById("workspaceSelect").innerHTML = list
+    .map((w) => `<option value="${esc(w.id)}" ${w.id === WORKSPACE.id ? "selected" : ""}>${esc(w.name)}</option>`)
+    .join("");
+}
+
+function renderWorkspaceSettings() {
+  document.getElementById("workspaceList").innerHTML = workspaces()
+    .map(
+      (w) => `
+      <div class="ai-op">
+        <div class="ai-op__top">
+          <strong>${esc(w.name)}</strong>
+          ${w.id === WORKSPACE.id ? `<span class="badge ok">open</span>` : ""}
+        </div>
+        <div class="muted small">${esc(w.base_url)}${w.reference_url ? ` · AI: ${esc(w.reference_url)}` : ""}</div>
+        ${
+          w.id === DEFAULT_WORKSPACE_ID
+            ? ""
+            : `<div class="btnrow"><button class="btn danger" type="button" data-ws-remove="${esc(w.id)}">Remove</button></div>`
+        }
+      </div>`
+    )
+    .join("");
+}
+
+function addWorkspace() {
+  const name = document.getElementById("wsName").value.trim();
+  const baseUrl = document.getElementById("wsBaseUrl").value.trim();
+  const referenceUrl = document.getElementById("wsReferenceUrl").value.trim();
+  const id = slugify(name);
+  if (!id || !baseUrl) return toast("Name and base file are required");
+  if (workspaces().some((w) => w.id === id)) return toast("A workspace with that name exists");
+
+  state.prefs.workspaces = (state.prefs.workspaces || []).concat({ id, name, base_url: baseUrl, reference_url: referenceUrl });
+  savePrefs(state.prefs);
+  ["wsName", "wsBaseUrl", "wsReferenceUrl"].forEach((k) => (document.getElementById(k).value = ""));
+  renderWorkspaceSettings();
+  renderWorkspaceSwitcher();
+  updateMetaLine();
+  toast(`Added ${name}`);
+}
+
+function removeWorkspace(id) {
+  const ws = workspaces().find((w) => w.id === id);
+  if (!ws || id === DEFAULT_WORKSPACE_ID) return;
+  // The overlays stay on this device: adding a workspace with the same name brings them back
+  if (!confirm(`Remove workspace "${ws.name}"? Its local changes stay on this device.`)) return;
+  state.prefs.workspaces = (state.prefs.workspaces || []).filter((w) => w.id !== id);
+  if (state.prefs.workspaceSync) delete state.prefs.workspaceSync[id];
+  savePrefs(state.prefs);
+  workspaceSnapshots.delete(id);
+  if (id === WORKSPACE.id) return switchWorkspace(DEFAULT_WORKSPACE_ID);
+  renderWorkspaceSettings();
+  renderWorkspaceSwitcher();
+  updateMetaLine();
+}
+
+async function loadWorkspaceSnapshot(ws) {
+  try {
+    const { base } = validateBase(await loadBase(ws.base_url));
+    const backend = await openStorage(storageKeyFor(ws.id));
+    const { raw } = await backend.load();
+    const read = raw ? readOverlays(raw) : null;
+    const overlays = read?.ok ? read.overlays : defaultOverlays();
+    return { ws, merged: mergeData(base, overlays) };
+  } catch (e) {
+    console.error(e);
+    return { ws, error: String(e.message || e) };
+  }
+}
+
+// Open items that are overdue or due today; status comes from the merged items, not state.overlays
+function todayItemsOf(merged) {
+  const today = parseISODate(todayLocalISO());
+  const todayISO = isoFromDate(today);
+  const done = (t) => t.status === "completed";
+  const byId = indexById((merged.tasks || []).concat(merged.events || []));
+  return (merged.tasks || [])
+    .concat(merged.occurrences || [])
+    .filter((t) => t && t.id && !done(t))
+    .map((t) => ({ ...t, __status: "open", __blocked_by: openBlockers(t, byId, done), type: normalizeType(t.type) || "task" }))
+    .filter(matchesFilters)
+    .filter((t) => {
+      const due = parseISODate(t.due_date);
+      if (due && due < today) return true;
+      const d = due || parseISODate(t.start_date);
+      return d && isoFromDate(d) === todayISO;
     });
+}
+
+function renderWorkspaceCard(t, snap) {
+  const today = parseISODate(todayLocalISO());
+  const due = parseISODate(t.due_date);
+  const card = document.createElement("div");
+  card.className = "card card--readonly";
+  card.title = `Open in ${snap.ws.name}`;
+  card.innerHTML = `
+    <div class="card__main">
+      <h3 class="card__title">${esc(t.title || "(untitled)")}</h3>
+      <div class="card__meta">
+        <span class="badge accent">${esc(pillarLabel(t.pillar, snap.merged))}</span>
+        <span class="badge">${esc(ownerName(t.owner_id, snap.merged))}</span>
+        <span class="badge ${due && due < today ? "danger" : ""}">${due ? `due ${isoFromDate(due)}` : `start ${esc(t.start_date)}`}</span>
+        ${t.__blocked_by.length ? `<span class="badge warn">⛓ waits on ${esc(t.__blocked_by.join(", "))}</span>` : ""}
+      </div>
+    </div>`;
+  card.addEventListener("click", () => switchWorkspace(snap.ws.id));
+  return card;
+}
+
+// "All workspaces" Today: the open workspace stays editable, the others link back to themselves
+async function renderAllToday(listEl) {
+  const run = ++allTodayRun;
+  listEl.innerHTML = `<div class="muted" style="padding:18px 6px">Loading workspaces…</div>`;
+  const snaps = await Promise.all(
+    workspaces().map(async (ws) => {
+      if (ws.id === WORKSPACE.id) return { ws, merged: state.merged, current: true };
+      if (!workspaceSnapshots.has(ws.id)) workspaceSnapshots.set(ws.id, loadWorkspaceSnapshot(ws));
+      return workspaceSnapshots.get(ws.id);
+    })
+  );
+  if (run !== allTodayRun || state.view !== "all") return;
+
+  listEl.innerHTML = "";
+  let shown = 0;
+  for (const snap of snaps) {
+    const h = document.createElement("div");
+    h.className = "groupTitle";
+    listEl.appendChild(h);
+    if (snap.error || !snap.merged) {
+      h.textContent = snap.ws.name;
+      listEl.insertAdjacentHTML("beforeend", `<div class="muted small">Could not load ${esc(snap.ws.base_url)}</div>`);
+      continue;
+    }
+    const today = parseISODate(todayLocalISO());
+    const items = sortItems(todayItemsOf(snap.merged));
+    const overdue = items.filter((t) => {
+      const due = parseISODate(t.due_date);
+      return due && due < today;
+    }).length;
+    h.textContent = `${snap.ws.name} · ${items.length} today${overdue ? ` (${overdue} overdue)` : ""}`;
+    shown += items.length;
+    for (const t of items) listEl.appendChild(snap.current ? renderCard(t) : renderWorkspaceCard(t, snap));
+  }
+  if (!shown) listEl.insertAdjacentHTML("beforeend", `<div class="muted" style="padding:18px 6px">Nothing due today in any workspace.</div>`);
+}
+
+/* ---------- Service worker ---------- */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  const hadController = !!navigator.serviceWorker.controller;
+
+  // Update-on-reload: a new worker takes over at once, the running page keeps its code until reloaded
+  const activate = (worker) => worker?.postMessage({ type: "SKIP_WAITING" });
+  navigator.serviceWorker
+    .register("./service-worker.js")
+    .then((reg) => {
+      if (reg.waiting && hadController) activate(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker?.addEventListener("statechange", () => {
+          if (worker.state === "installed" && navigator.serviceWorker.controller) activate(worker);
+        });
+      });
+    })
+    .catch(() => {});
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!hadController) return; // first install, nothing new to show
+    toast("App updated", { label: "Reload", run: () => location.reload() });
+  });
+
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type !== "TASKS_UPDATED") return;
+    if (e.data.url !== new URL(WORKSPACE.base_url, location.href).href) return;
+    if (e.data.version === state.base?.meta?.version) return;
+    toast(`${baseFileName()} v${e.data.version} is available`, { label: "Load", run: reloadBase });
   });
 }
 
+// Pull in a newer tasks.json without reloading the page
+async function reloadBase() {
+  try {
+    const { base, issues } = validateBase(await loadBase());
+    state.base = base;
+    state.diagnostics = issues;
+    if (stampOverrideBase(state.overlays)) saveOverlays(state.overlays, { record: false });
+    updateMetaLine();
+    state.merged = mergeData(state.base, state.overlays);
+    initFilterOptions();
+    render();
+    const stale = staleOverrides().length;
+    toast(`Loaded ${baseFileName()} v${base.meta?.version || "?"}${stale ? ` · ${stale} override(s) to review in More` : ""}`);
+  } catch (e) {
+    console.error(e);
+    toast(`Could not load ${baseFileName()}`);
+  }
+}
+
 /* ---------- Boot ---------- */
 async function boot() {
+  storage = await openStorage(STORAGE_KEY);
+  state.overlays = await loadOverlays();
+  autoPurgeTrash();
+  undoStack.current = JSON.stringify(state.overlays);
+  sync.endpoint = syncSettings().syncEndpoint;
   wireUI();
+  renderWorkspaceSwitcher();
+  setupSync();
   updateStorageInfo(state.overlays);
 
-  if ("serviceWorker" in navigator) {
-    navigator.serviceWorker.register("./service-worker.js").catch(() => {});
-  }
+  registerServiceWorker();
 
   try {
-    state.base = await loadBase();
+    const { base, issues } = validateBase(await loadBase());
+    state.base = base;
+    state.diagnostics = issues;
     updateMetaLine();
+    // Overrides from before provenance tracking are measured against this tasks.json
+    if (stampOverrideBase(state.overlays)) {
+      saveOverlays(state.overlays, { record: false });
+      undoStack.current = JSON.stringify(state.overlays);
+    }
     state.merged = mergeData(state.base, state.overlays);
     initFilterOptions();
     render();
+    scheduleSync(0);
+
+    if (overlayLoadReport) toast(`Local overlays: ${describeOverlayReport(overlayLoadReport)}`);
+
+    const problems = issues.filter((i) => i.level !== "info").length;
+    const stale = staleOverrides().length;
+    if (problems || stale) {
+      const bits = [problems && `${baseFileName()}: ${problems} problem(s)`, stale && `${stale} override(s) changed upstream`];
+      toast(`${bits.filter(Boolean).join(" · ")} — see More › Diagnostics`);
+    }
   } catch (e) {
     console.error(e);
-    toast("Could not load tasks.json");
+    toast(`Could not load ${baseFileName()}`);
     document.getElementById("list").innerHTML = `<div class="muted" style="padding:18px 6px">
-        <strong>Could not load tasks.json</strong><br>
-        Host via http:// (not file://). tasks.json must be in the same folder.
+        <strong>Could not load ${esc(WORKSPACE.base_url)}</strong><br>
+        Host via http:// (not file://). The base file must be reachable from this page.
       </div>`;
   }
 }
@@ -0,0 +1,150 @@
+// Cluster pipelines from meta.clusters, e.g. "R&R: Strategy → Budget → Venue → …".
+// Tasks carry only a cluster letter, so each task is placed on a stage by (in order):
+//   1. an explicit `stage` field (stage name or 1-based index)
+//   2. stage-name keywords found in its title
+//   3. the latest stage among its dependencies
+//   4. stage-name keywords found in its notes
+//   5. the stage of the nearest already-placed task by start date
+
+const STOP = new Set(["and", "the", "for", "of"]);
+// Shorthand used in stage names
+const ALIASES = { comms: "communications" };
+
+function stemsOf(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9&]+/)
+    .filter((w) => w.length >= 3 && !STOP.has(w))
+    .map((w) => (ALIASES[w] || w).slice(0, 5));
+}
+
+export function parseClusters(clusters) {
+  const obj = clusters && typeof clusters === "object" ? clusters : {};
+  return Object.keys(obj)
+    .sort()
+    .map((code) => {
+      const raw = String(obj[code] || "");
+      const i = raw.indexOf(":");
+      const name = (i === -1 ? code : raw.slice(0, i)).trim();
+      const chain = i === -1 ? raw : raw.slice(i + 1);
+      const stages = chain
+        .split(/→|->/)
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((label) => ({ label, stems: stemsOf(label) }));
+      return { code, name, stages };
+    });
+}
+
+function explicitStage(task, stages) {
+  const v = task.stage;
+  if (v === undefined || v === null || v === "") return -1;
+  const n = Number(v);
+  if (Number.isInteger(n) && n >= 1 && n <= stages.length) return n - 1;
+  const want = String(v).toLowerCase().trim();
+  return stages.findIndex((s) => s.label.toLowerCase() === want);
+}
+
+function keywordStage(text, stages) {
+  const words = new Set(stemsOf(text));
+  let best = -1;
+  let bestScore = 0;
+  stages.forEach((s, i) => {
+    // Ties go to the later stage ("Fundraising Strategy" is fundraising work)
+    const score = s.stems.filter((w) => words.has(w)).length;
+    if (score && score >= bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Map each task of a cluster onto a stage index. Returns Map<taskId, stageIndex>.
+ */
+export function mapTasksToStages(cluster, tasks) {
+  const stages = cluster.stages;
+  const out = new Map();
+  if (!stages.length) return out;
+
+  const pending = [];
+  for (const t of tasks) {
+    let idx = explicitStage(t, stages);
+    if (idx === -1) idx = keywordStage(t.title, stages);
+    if (idx === -1) pending.push(t);
+    else out.set(t.id, idx);
+  }
+
+  // Dependencies: a task sits no earlier than its latest placed prerequisite
+  let progress = true;
+  while (progress && pending.length) {
+    progress = false;
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const t = pending[i];
+      const placed = (t.dependencies || []).filter((d) => out.has(d)).map((d) => out.get(d));
+      if (!placed.length) continue;
+      out.set(t.id, Math.max(...placed));
+      pending.splice(i, 1);
+      progress = true;
+    }
+  }
+
+  for (let i = pending.length - 1; i >= 0; i--) {
+    const idx = keywordStage(pending[i].notes, stages);
+    if (idx === -1) continue;
+    out.set(pending[i].id, idx);
+    pending.splice(i, 1);
+  }
+
+  // Nearest placed task by start date, else the first stage
+  const placedTasks = tasks.filter((t) => out.has(t.id) && (t.start_date || t.due_date));
+  const dayOf = (t) => Date.parse(t.start_date || t.due_date || "") || 0;
+  for (const t of pending) {
+    let idx = 0;
+    let bestGap = Infinity;
+    for (const p of placedTasks) {
+      const gap = Math.abs(dayOf(p) - dayOf(t));
+      if (gap < bestGap) {
+        bestGap = gap;
+        idx = out.get(p.id);
+      }
+    }
+    out.set(t.id, idx);
+  }
+  return out;
+}
+
+/**
+ * Per-cluster pipeline summary.
+ * `isDone(task)` and `isOverdue(task)` are supplied by the caller so overlay state is honoured.
+ */
+export function clusterPipelines(clusters, tasks, { isDone, isOverdue }) {
+  return parseClusters(clusters).map((cluster) => {
+    const members = (tasks || []).filter((t) => t && t.cluster === cluster.code);
+    const placement = mapTasksToStages(cluster, members);
+
+    const stages = cluster.stages.map((s) => ({ label: s.label, tasks: [], total: 0, done: 0, overdue: 0 }));
+    for (const t of members) {
+      const st = stages[placement.get(t.id) ?? 0];
+      if (!st) continue;
+      st.tasks.push(t);
+      st.total += 1;
+      if (isDone(t)) st.done += 1;
+      else if (isOverdue(t)) st.overdue += 1;
+    }
+
+    const total = members.length;
+    const done = members.filter(isDone).length;
+    const current = stages.findIndex((s) => s.total > s.done);
+    return {
+      code: cluster.code,
+      name: cluster.name,
+      stages,
+      total,
+      done,
+      currentStage: current,
+      overdueStages: stages.map((s, i) => (s.overdue ? i : -1)).filter((i) => i !== -1)
+    };
+  });
+}
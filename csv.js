@@ -0,0 +1,251 @@
+// CSV round-tripping for spreadsheet trackers: export of a task list, and the parsing/mapping
+// half of the import wizard (the app resolves owners and pillars and decides what to create).
+
+import { normalizePriority } from "./validate.js";
+
+// Importable fields, in export column order. `list` fields hold several values separated by ";".
+export const CSV_FIELDS = [
+  { key: "id", label: "ID" },
+  { key: "title", label: "Title" },
+  { key: "type", label: "Type" },
+  { key: "pillar", label: "Pillar" },
+  { key: "owner_id", label: "Owner" },
+  { key: "support_owner_ids", label: "Support owners", list: true },
+  { key: "cluster", label: "Cluster" },
+  { key: "donor_stream", label: "Donor stream" },
+  { key: "start_date", label: "Start", date: true },
+  { key: "due_date", label: "Due", date: true },
+  { key: "status", label: "Status" },
+  { key: "priority", label: "Priority" },
+  { key: "estimated_minutes", label: "Estimate (min)" },
+  { key: "energy", label: "Energy" },
+  { key: "dependencies", label: "Depends on", list: true },
+  { key: "notes", label: "Notes" }
+];
+
+// Header spellings seen in trackers, normalised (lowercase, letters and digits only)
+const SYNONYMS = {
+  id: ["id", "taskid", "ref", "reference", "code"],
+  title: ["title", "task", "name", "activity", "description", "summary", "item"],
+  type: ["type", "kind"],
+  pillar: ["pillar", "programme", "program", "workstream", "area"],
+  owner_id: ["owner", "ownerid", "responsible", "lead", "assignee", "assignedto"],
+  support_owner_ids: ["supportowners", "support", "supportownerids", "supporting", "team"],
+  cluster: ["cluster", "pipeline"],
+  donor_stream: ["donorstream", "donor", "funder", "stream"],
+  start_date: ["start", "startdate", "begin", "from"],
+  due_date: ["due", "duedate", "deadline", "end", "enddate", "by", "to"],
+  status: ["status", "state", "done", "complete", "completed"],
+  priority: ["priority", "prio"],
+  estimated_minutes: ["estimatemin", "estimate", "estimatedminutes", "minutes", "effort"],
+  energy: ["energy"],
+  dependencies: ["dependson", "dependencies", "deps", "blockedby"],
+  notes: ["notes", "comments", "remarks", "details"]
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+export const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY", "D MMM YYYY"];
+
+/* ---------- Export ---------- */
+
+function cell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n;]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV text for `items`. `value(item, field)` returns the text for a column (names instead of ids,
+ * lists joined with "; "). Starts with a BOM so Excel reads UTF-8 correctly.
+ */
+export function toCsv(items, value) {
+  const lines = [CSV_FIELDS.map((f) => cell(f.label)).join(",")];
+  for (const it of items) lines.push(CSV_FIELDS.map((f) => cell(value(it, f.key))).join(","));
+  return `\ufeff${lines.join("\r\n")}\r\n`;
+}
+
+/* ---------- Import ---------- */
+
+// Comma, semicolon (European Excel) or tab: whichever splits the header line into the most columns
+function detectDelimiter(text) {
+  const first = text.split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let most = 0;
+  for (const d of [",", ";", "\t"]) {
+    const n = first.split(d).length;
+    if (n > most) {
+      most = n;
+      best = d;
+    }
+  }
+  return best;
+}
+
+/** Rows of cells; quoted cells may contain delimiters, quotes ("") and line breaks. */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\ufeff/, "");
+  const delim = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cur += c;
+      }
+    } else if (c === '"' && cur === "") {
+      quoted = true;
+    } else if (c === delim) {
+      row.push(cur);
+      cur = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cur);
+      rows.push(row);
+      row = [];
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  if (cur !== "" || row.length) {
+    row.push(cur);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+function norm(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** Field key per column (null = ignore), from the header row. Each field is used once. */
+export function guessMapping(headers) {
+  const used = new Set();
+  return headers.map((h) => {
+    const n = norm(h);
+    const exact = CSV_FIELDS.find((f) => !used.has(f.key) && (norm(f.label) === n || norm(f.key) === n || SYNONYMS[f.key].includes(n)));
+    if (!exact) return null;
+    used.add(exact.key);
+    return exact.key;
+  });
+}
+
+/**
+ * Date format of a column. Day-first unless some value only makes sense month-first; ISO and
+ * "3 Mar 2026" styles are recognised. Returns null when no value looks like a date.
+ */
+export function detectDateFormat(values) {
+  const vals = values.map((v) => String(v || "").trim()).filter(Boolean);
+  if (!vals.length) return null;
+  if (vals.every((v) => /^\d{4}-\d{1,2}-\d{1,2}/.test(v))) return "YYYY-MM-DD";
+  if (vals.some((v) => /^\d{1,2}[\s-][a-z]{3}/i.test(v))) return "D MMM YYYY";
+  let dayFirst = false;
+  let monthFirst = false;
+  for (const v of vals) {
+    const m = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (!m) continue;
+    if (Number(m[1]) > 12) dayFirst = true;
+    if (Number(m[2]) > 12) monthFirst = true;
+  }
+  if (monthFirst && !dayFirst) return "MM/DD/YYYY";
+  return vals.some((v) => /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(v)) ? "DD/MM/YYYY" : null;
+}
+
+function iso(y, m, d) {
+  const year = y < 100 ? 2000 + y : y;
+  const date = new Date(Date.UTC(year, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/** ISO date for a cell in the given format; null when empty or unreadable. */
+export function parseDate(value, format) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  let m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return iso(+m[1], +m[2], +m[3]);
+  if (format === "D MMM YYYY") {
+    m = v.match(/^(\d{1,2})[\s-]([a-z]{3})[a-z]*\.?[\s-](\d{2,4})$/i);
+    const month = m ? MONTHS.indexOf(m[2].toLowerCase()) + 1 : 0;
+    return m && month ? iso(+m[3], month, +m[1]) : null;
+  }
+  m = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (!m) return null;
+  return format === "MM/DD/YYYY" ? iso(+m[3], +m[1], +m[2]) : iso(+m[3], +m[2], +m[1]);
+}
+
+function statusOf(v) {
+  const s = norm(v);
+  if (!s) return null;
+  return ["completed", "complete", "done", "yes", "y", "true", "1", "closed", "finished"].includes(s) ? "completed" : "open";
+}
+
+// Same 1-4 scale (and words) as tasks.json; undefined when the text is not a priority
+const PRIORITY_LETTERS = { h: 1, m: 2, l: 3 };
+function priorityOf(v) {
+  const s = norm(v);
+  if (!s) return null;
+  return PRIORITY_LETTERS[s] ?? normalizePriority(s);
+}
+
+/**
+ * Turn data rows into partial items using `mapping` (field key per column).
+ * resolveOwner/resolvePillar map spreadsheet text to ids (null = no match).
+ * Each result: { row, item, problems[] } — `item` only has the mapped fields, so updates can be patches.
+ */
+export function rowsToItems(rows, mapping, { dateFormats = {}, resolveOwner = (v) => v, resolvePillar = (v) => v }) {
+  return rows.map((cells, row) => {
+    const item = {};
+    const problems = [];
+    mapping.forEach((key, col) => {
+      if (!key) return;
+      const raw = String(cells[col] ?? "").trim();
+      const field = CSV_FIELDS.find((f) => f.key === key);
+      if (field.date) {
+        const d = parseDate(raw, dateFormats[key]);
+        if (raw && !d) problems.push(`${field.label}: "${raw}" is not a date`);
+        item[key] = d;
+      } else if (key === "owner_id") {
+        const id = raw ? resolveOwner(raw) : null;
+        if (raw && !id) problems.push(`Owner "${raw}" not found`);
+        item.owner_id = id;
+      } else if (key === "support_owner_ids") {
+        const names = raw.split(/[;|]/).map((s) => s.trim()).filter(Boolean);
+        item.support_owner_ids = names.map(resolveOwner).filter(Boolean);
+        if (item.support_owner_ids.length < names.length) problems.push("Some support owners not found");
+      } else if (key === "pillar") {
+        const p = raw ? resolvePillar(raw) : null;
+        if (raw && !p) problems.push(`Pillar "${raw}" not found`);
+        item.pillar = p;
+      } else if (key === "dependencies") {
+        item.dependencies = raw.split(/[;,|\s]+/).filter(Boolean);
+      } else if (key === "status") {
+        item.status = statusOf(raw);
+      } else if (key === "priority") {
+        const p = priorityOf(raw);
+        if (p === undefined) problems.push(`Priority "${raw}" not recognised`);
+        item.priority = p ?? null;
+      } else if (key === "estimated_minutes") {
+        const n = Number(raw);
+        item.estimated_minutes = raw && Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+      } else if (key === "donor_stream") {
+        item.donor = raw ? { stream: raw } : null;
+      } else if (key === "type") {
+        const t = raw.toLowerCase();
+        item.type = ["task", "event", "meeting"].includes(t) ? t : raw ? "task" : null;
+      } else {
+        item[key] = raw || null;
+      }
+    });
+    if (!item.title && !item.id) problems.push("No title");
+    return { row, item, problems };
+  });
+}
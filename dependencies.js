@@ -0,0 +1,74 @@
+// Dependency graph helpers over the merged task list.
+// A task's `dependencies` array lists ids that must be completed before it can start.
+
+export function depsOf(item) {
+  return Array.isArray(item?.dependencies) ? item.dependencies.filter(Boolean) : [];
+}
+
+export function indexById(items) {
+  const map = new Map();
+  for (const it of items || []) if (it && it.id) map.set(it.id, it);
+  return map;
+}
+
+/**
+ * Prerequisites of `item` that exist and are still open.
+ * Unknown or deleted ids never block (validation reports them separately).
+ */
+export function openBlockers(item, byId, isDone) {
+  return depsOf(item).filter((id) => {
+    const dep = byId.get(id);
+    return dep && !isDone(dep);
+  });
+}
+
+// Direct dependents: tasks that list `id` in their dependencies.
+export function dependentsOf(id, items) {
+  return (items || []).filter((t) => depsOf(t).includes(id));
+}
+
+// Every task downstream of `id` (transitively), in breadth-first order.
+export function downstreamOf(id, items) {
+  const seen = new Set([id]);
+  const out = [];
+  const queue = [id];
+  while (queue.length) {
+    const cur = queue.shift();
+    for (const t of dependentsOf(cur, items)) {
+      if (seen.has(t.id)) continue;
+      seen.add(t.id);
+      out.push(t);
+      queue.push(t.id);
+    }
+  }
+  return out;
+}
+
+// True if making `id` depend on `depId` would close a loop.
+export function wouldCreateCycle(id, depId, items) {
+  if (id === depId) return true;
+  return downstreamOf(id, items).some((t) => t.id === depId);
+}
+
+/**
+ * When `id` slips by `days`, every downstream task shifts by the largest slip among its
+ * prerequisites, so the chain keeps its shape. Returns Map<id, days> (excluding `id`).
+ */
+export function cascadeShifts(id, days, items) {
+  const shifts = new Map([[id, days]]);
+  const down = downstreamOf(id, items);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const t of down) {
+      const s = Math.max(0, ...depsOf(t).map((d) => shifts.get(d) ?? 0));
+      if (s !== (shifts.get(t.id) ?? 0)) {
+        shifts.set(t.id, s);
+        changed = true;
+      }
+    }
+  }
+  shifts.delete(id);
+  for (const [k, v] of shifts) if (!v) shifts.delete(k);
+  return shifts;
+}
@@ -0,0 +1,80 @@
+// Donor compliance view: groups tasks by donor.stream and builds per-stream status reports.
+
+export function donorStream(task) {
+  return (task?.donor?.stream || "").toString().trim() || "Unassigned";
+}
+
+/**
+ * Summaries per donor stream, largest first.
+ * `isDone(task)` / `isOverdue(task)` come from the caller so overlay state is honoured.
+ */
+export function donorStreams(tasks, { isDone, isOverdue }) {
+  const map = new Map();
+  for (const t of tasks || []) {
+    if (!t || !t.id) continue;
+    const k = donorStream(t);
+    if (!map.has(k)) map.set(k, { stream: k, tasks: [], total: 0, done: 0, overdue: 0, notes: [] });
+    const g = map.get(k);
+    g.tasks.push(t);
+    g.total += 1;
+    if (isDone(t)) g.done += 1;
+    else if (isOverdue(t)) g.overdue += 1;
+
+    const note = (t.donor?.notes || "").toString().trim();
+    if (note) {
+      const existing = g.notes.find((n) => n.text === note);
+      if (existing) existing.ids.push(t.id);
+      else g.notes.push({ text: note, ids: [t.id] });
+    }
+  }
+  return Array.from(map.values()).sort((a, b) => b.total - a.total || a.stream.localeCompare(b.stream));
+}
+
+/**
+ * Markdown status report for one stream, suitable for sending to a funder.
+ * `ownerLabel(ownerId)` returns the display name for an owner.
+ */
+export function donorReportMarkdown(group, { meta = {}, todayISO, isDone, isOverdue, ownerLabel }) {
+  const pct = group.total ? Math.round((group.done / group.total) * 100) : 0;
+  const lines = [];
+  lines.push(`# Donor status report — ${group.stream}`);
+  lines.push("");
+  lines.push(`Generated ${todayISO}${meta.version ? ` from plan v${meta.version}` : ""}.`);
+  lines.push("");
+  lines.push(`- Tasks: ${group.total}`);
+  lines.push(`- Completed: ${group.done} (${pct}%)`);
+  lines.push(`- Open: ${group.total - group.done}`);
+  lines.push(`- Overdue: ${group.overdue}`);
+  lines.push("");
+
+  const row = (t) => {
+    const dates = [t.start_date, t.due_date].filter(Boolean).join(" → ") || "no date";
+    return `| ${t.id} | ${(t.title || "").replace(/\|/g, "/")} | ${ownerLabel(t.owner_id)} | ${dates} |`;
+  };
+  const table = (title, arr) => {
+    lines.push(`## ${title} (${arr.length})`);
+    lines.push("");
+    if (!arr.length) {
+      lines.push("_None._");
+      lines.push("");
+      return;
+    }
+    lines.push("| ID | Task | Owner | Dates |");
+    lines.push("| --- | --- | --- | --- |");
+    arr.forEach((t) => lines.push(row(t)));
+    lines.push("");
+  };
+
+  const byDue = (a, b) => (a.due_date || "9999").localeCompare(b.due_date || "9999");
+  table("Overdue", group.tasks.filter((t) => !isDone(t) && isOverdue(t)).sort(byDue));
+  table("Open", group.tasks.filter((t) => !isDone(t) && !isOverdue(t)).sort(byDue));
+  table("Completed", group.tasks.filter(isDone).sort(byDue));
+
+  lines.push(`## Compliance notes`);
+  lines.push("");
+  if (!group.notes.length) lines.push("_None recorded._");
+  for (const n of group.notes) lines.push(`- ${n.text} (${n.ids.join(", ")})`);
+  lines.push("");
+
+  return lines.join("\n");
+}
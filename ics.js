@@ -0,0 +1,617 @@
+// iCalendar (RFC 5545) export: events/meetings as VEVENTs, dated tasks as VTODOs and recurrence
+// rules as VEVENTs with an RRULE. All dates are whole days, so no VTIMEZONE block is needed.
+
+import { ruleDates, ruleOverride, isRuleEnabled } from "./recurrence.js";
+
+const BYDAY = {
+  SUNDAY: "SU",
+  MONDAY: "MO",
+  TUESDAY: "TU",
+  WEDNESDAY: "WE",
+  THURSDAY: "TH",
+  FRIDAY: "FR",
+  SATURDAY: "SA"
+};
+
+// Text values: backslash, semicolon, comma and newlines are escaped
+export function escapeText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+export function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function icsDate(iso) {
+  return String(iso).replace(/-/g, "");
+}
+function icsStamp(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+function nextDayISO(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const x = new Date(Date.UTC(y, m - 1, d + 1));
+  return x.toISOString().slice(0, 10);
+}
+function isISODate(s) {
+  return typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+function priorityOf(p) {
+  const v = String(p ?? "").toLowerCase();
+  if (v === "high" || v === "1") return 1;
+  if (v === "low" || v === "3") return 9;
+  if (v === "medium" || v === "2") return 5;
+  return 0;
+}
+
+// Owner and support owners as attendees so calendars (and our import) can map them back by name
+function attendees(item, person) {
+  const lines = [];
+  const add = (id, role) => {
+    if (!id) return;
+    const p = person(id);
+    const addr = p.email ? `mailto:${p.email}` : `urn:x-noobi:owner:${encodeURIComponent(id)}`;
+    lines.push(`ATTENDEE;CN="${String(p.name || id).replace(/"/g, "'")}";ROLE=${role}:${addr}`);
+  };
+  add(item.owner_id, "REQ-PARTICIPANT");
+  const support = Array.isArray(item.support_owner_ids) ? item.support_owner_ids : [];
+  for (const id of support) if (id !== item.owner_id) add(id, "OPT-PARTICIPANT");
+  return lines;
+}
+
+function common(item, { person, pillarName }) {
+  const lines = [`SUMMARY:${escapeText(item.title || item.id)}`];
+  const desc = [
+    item.notes,
+    item.owner_id ? `Owner: ${person(item.owner_id).name || item.owner_id}` : "",
+    item.pillar ? `Pillar: ${pillarName(item.pillar)}` : "",
+    `Id: ${item.rule_id || item.id}`
+  ].filter(Boolean);
+  lines.push(`DESCRIPTION:${escapeText(desc.join("\n"))}`);
+  if (item.pillar) lines.push(`CATEGORIES:${escapeText(pillarName(item.pillar))}`);
+  const pr = priorityOf(item.priority);
+  if (pr) lines.push(`PRIORITY:${pr}`);
+  return lines.concat(attendees(item, person));
+}
+
+function eventBlock(item, ctx) {
+  const start = isISODate(item.start_date) ? item.start_date : item.due_date;
+  const end = isISODate(item.due_date) && item.due_date >= start ? item.due_date : start;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${item.ics_uid || ctx.uid(item.id)}`,
+    `DTSTAMP:${ctx.stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(start)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDayISO(end))}`,
+    ...common(item, ctx),
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT"
+  ];
+}
+
+function todoBlock(item, ctx) {
+  const done = item.status === "completed";
+  // Items imported from a calendar keep the uid they came with, so re-importing finds them
+  const lines = ["BEGIN:VTODO", `UID:${item.ics_uid || ctx.uid(item.id)}`, `DTSTAMP:${ctx.stamp}`];
+  if (isISODate(item.start_date) && (!isISODate(item.due_date) || item.start_date <= item.due_date)) {
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(item.start_date)}`);
+  }
+  if (isISODate(item.due_date)) lines.push(`DUE;VALUE=DATE:${icsDate(item.due_date)}`);
+  lines.push(...common(item, ctx), `STATUS:${done ? "COMPLETED" : "NEEDS-ACTION"}`);
+  if (done && item.completed_at) {
+    const at = new Date(item.completed_at);
+    if (!Number.isNaN(at.getTime())) lines.push(`COMPLETED:${icsStamp(at)}`);
+  }
+  lines.push("END:VTODO");
+  return lines;
+}
+
+/**
+ * RRULE for a rule, or null when the frequency is not one we can express.
+ * BIWEEKLY is WEEKLY;INTERVAL=2 phased by DTSTART; MONTHLY uses BYDAY=<n><day> or BYMONTHDAY.
+ * The app moves days 29-31 to the last day of shorter months; calendars skip those months instead,
+ * so 31 becomes BYMONTHDAY=-1 and 29/30 pick the latest of 28..day that the month has.
+ */
+export function rruleFor(rule) {
+  const freq = String(rule.frequency || "").toUpperCase();
+  const day = BYDAY[String(rule.day_of_week || "").toUpperCase().trim()];
+  const parts = [];
+  if (freq === "WEEKLY" || freq === "BIWEEKLY") {
+    parts.push("FREQ=WEEKLY");
+    if (freq === "BIWEEKLY") parts.push("INTERVAL=2");
+    if (day) parts.push(`BYDAY=${day}`);
+  } else if (freq === "MONTHLY") {
+    parts.push("FREQ=MONTHLY");
+    if (day) {
+      const nth = Number(rule.week_of_month) || 1;
+      parts.push(`BYDAY=${nth < 0 ? -1 : Math.min(nth, 5)}${day}`);
+    } else {
+      const dom = Math.min(Math.max(Number(rule.day_of_month) || 1, 1), 31);
+      if (dom === 31) parts.push("BYMONTHDAY=-1");
+      else if (dom > 28) parts.push(`BYMONTHDAY=${[28, 29, 30].filter((d) => d <= dom).join(",")}`, "BYSETPOS=-1");
+      else parts.push(`BYMONTHDAY=${dom}`);
+    }
+  } else {
+    return null;
+  }
+  if (isISODate(rule.end_date || rule.until)) parts.push(`UNTIL=${icsDate(rule.end_date || rule.until)}`);
+  return parts.join(";");
+}
+
+// Series VEVENT plus one overriding VEVENT (same UID, RECURRENCE-ID) per rescheduled occurrence
+function ruleBlocks(rule, ctx) {
+  const rrule = rruleFor(rule);
+  if (!rrule) return [];
+  const ov = ruleOverride(ctx.overrides, rule.id);
+  const from = ov.anchor_date || rule.start_date || ctx.anchorISO || ctx.fromISO;
+  const [first] = ruleDates(rule, from, ctx.horizonISO, { anchorISO: ctx.anchorISO, override: ov });
+  if (!first) return [];
+
+  const occ = ov.occurrences && typeof ov.occurrences === "object" ? ov.occurrences : {};
+  const exdates = [];
+  const moved = [];
+  for (const [iso, st] of Object.entries(occ)) {
+    if (!isISODate(iso) || iso < first) continue;
+    if (st?.status === "skipped") exdates.push(iso);
+    else if (isISODate(st?.moved_to) && st.moved_to !== iso) moved.push([iso, st.moved_to]);
+  }
+
+  const item = { ...rule, type: rule.type || "meeting" };
+  const uid = ctx.uid(rule.id);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${ctx.stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(first)}`,
+    `DTEND;VALUE=DATE:${icsDate(nextDayISO(first))}`,
+    `RRULE:${rrule}`,
+    ...exdates.sort().map((iso) => `EXDATE;VALUE=DATE:${icsDate(iso)}`),
+    ...common(item, ctx),
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT"
+  ];
+  for (const [iso, to] of moved.sort()) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      `DTSTAMP:${ctx.stamp}`,
+      `RECURRENCE-ID;VALUE=DATE:${icsDate(iso)}`,
+      `DTSTART;VALUE=DATE:${icsDate(to)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDayISO(to))}`,
+      ...common(item, ctx),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  return lines;
+}
+
+function isEventLike(item) {
+  const t = String(item.type || "").toLowerCase();
+  return t === "event" || t === "meeting";
+}
+
+/**
+ * Build a VCALENDAR document.
+ * items: tasks and events (already filtered); undated tasks are left out.
+ * rules: recurrence rules to emit as series; disabled rules are left out.
+ * person(id) → { name, email? }, pillarName(code) → label.
+ */
+export function buildCalendar({
+  items = [],
+  rules = [],
+  overrides = {},
+  anchorISO = null,
+  todayISO,
+  name = "NoobiOS",
+  timezone = "",
+  uidDomain = "noobi.local",
+  person = (id) => ({ name: id }),
+  pillarName = (code) => code,
+  now = new Date()
+}) {
+  const ctx = {
+    stamp: icsStamp(now),
+    uid: (id) => `${String(id).replace(/[^\w.-]/g, "_")}@${uidDomain}`,
+    person,
+    pillarName,
+    overrides,
+    anchorISO,
+    fromISO: todayISO,
+    horizonISO: `${Number(todayISO.slice(0, 4)) + 2}${todayISO.slice(4)}`
+  };
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//NoobiOS//Flow Engine//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (timezone) lines.push(`X-WR-TIMEZONE:${escapeText(timezone)}`);
+
+  let events = 0;
+  let todos = 0;
+  let series = 0;
+  for (const item of items) {
+    if (!item || !item.id || item.__recurring) continue;
+    if (!isISODate(item.due_date) && !isISODate(item.start_date)) continue;
+    if (isEventLike(item)) {
+      lines.push(...eventBlock(item, ctx));
+      events++;
+    } else {
+      lines.push(...todoBlock(item, ctx));
+      todos++;
+    }
+  }
+  for (const rule of rules) {
+    if (!rule || !rule.id || !isRuleEnabled(overrides, rule.id, rule)) continue;
+    const block = ruleBlocks(rule, ctx);
+    if (!block.length) continue;
+    lines.push(...block);
+    series++;
+  }
+  lines.push("END:VCALENDAR");
+
+  return { text: lines.map(foldLine).join("\r\n") + "\r\n", counts: { events, todos, series } };
+}
+
+/* ---------- Import ---------- */
+
+function unfold(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "");
+}
+
+function unescapeText(s) {
+  return String(s || "").replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// NAME;PARAM=a;PARAM="b:c":value — the first colon outside quotes ends the parameters
+function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) break;
+  }
+  if (i >= line.length) return null;
+  const parts = line.slice(0, i).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+  const name = (parts.shift() || "").toUpperCase();
+  const params = {};
+  for (const p of parts) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name, params, value: line.slice(i + 1) };
+}
+
+function localISO(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * "20260302" (all-day), "20260302T090000Z" (UTC, shown in local time) or "20260302T090000"
+ * (floating or TZID: wall-clock time as written). Returns { date, time, allDay } or null.
+ */
+export function parseIcsDate(value) {
+  const m = String(value || "").trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  if (!m[4]) return { date: `${m[1]}-${m[2]}-${m[3]}`, time: null, allDay: true };
+  if (m[7]) {
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]));
+    return { date: localISO(d), time: `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`, allDay: false };
+  }
+  return { date: `${m[1]}-${m[2]}-${m[3]}`, time: `${m[4]}:${m[5]}`, allDay: false };
+}
+
+function parseRrule(value) {
+  const out = {};
+  for (const part of String(value || "").split(";")) {
+    const [k, v] = part.split("=");
+    if (k && v !== undefined) out[k.trim().toUpperCase()] = v.trim().toUpperCase();
+  }
+  if (!out.FREQ) return null;
+  return {
+    freq: out.FREQ,
+    interval: Math.max(1, Number(out.INTERVAL) || 1),
+    count: Number(out.COUNT) || null,
+    until: out.UNTIL ? parseIcsDate(out.UNTIL)?.date || null : null,
+    byday: out.BYDAY ? out.BYDAY.split(",").filter(Boolean) : [],
+    bymonthday: out.BYMONTHDAY ? out.BYMONTHDAY.split(",").map(Number).filter(Boolean) : [],
+    bysetpos: out.BYSETPOS ? out.BYSETPOS.split(",").map(Number).filter(Boolean) : []
+  };
+}
+
+function parseAttendee(prop) {
+  const v = prop.value.trim();
+  const owner = v.match(/^urn:x-noobi:owner:(.+)$/i);
+  return {
+    name: prop.params.CN || "",
+    email: /^mailto:/i.test(v) ? v.slice(7).trim().toLowerCase() : "",
+    owner_id: owner ? decodeURIComponent(owner[1]) : ""
+  };
+}
+
+function toEntry(c) {
+  const one = (n) => c.props.find((p) => p.name === n);
+  const all = (n) => c.props.filter((p) => p.name === n);
+  const text = (n) => (one(n) ? unescapeText(one(n).value).trim() : "");
+  const start = one("DTSTART") ? parseIcsDate(one("DTSTART").value) : null;
+  const end = parseIcsDate((one(c.type === "VTODO" ? "DUE" : "DTEND") || {}).value);
+  if (!start && !end) return null;
+
+  const exdates = new Set();
+  for (const p of all("EXDATE")) {
+    for (const v of p.value.split(",")) {
+      const d = parseIcsDate(v);
+      if (d) exdates.add(d.date);
+    }
+  }
+  return {
+    kind: c.type,
+    uid: text("UID"),
+    title: text("SUMMARY") || "(untitled)",
+    description: text("DESCRIPTION"),
+    location: text("LOCATION"),
+    status: text("STATUS").toUpperCase(),
+    start: start || end,
+    end,
+    dated: !!start, // VTODOs may only have a DUE date
+    rrule: one("RRULE") ? parseRrule(one("RRULE").value) : null,
+    exdates,
+    recurrenceId: one("RECURRENCE-ID") ? parseIcsDate(one("RECURRENCE-ID").value)?.date || null : null,
+    attendees: all("ATTENDEE").map(parseAttendee),
+    organizer: one("ORGANIZER") ? parseAttendee(one("ORGANIZER")) : null,
+    categories: all("CATEGORIES").flatMap((p) => p.value.split(/(?<!\\),/).map(unescapeText)).map((s) => s.trim()).filter(Boolean),
+    priority: Number(text("PRIORITY")) || 0
+  };
+}
+
+/**
+ * VEVENT/VTODO entries of an iCalendar file (VALARMs and other components are ignored).
+ * Throws when the text is not a calendar at all.
+ */
+export function parseCalendar(text) {
+  const src = unfold(text);
+  if (!/BEGIN:VCALENDAR/i.test(src)) throw new Error("Not an iCalendar file");
+  const comps = [];
+  const stack = [];
+  for (const raw of src.split("\n")) {
+    if (!raw.trim()) continue;
+    const p = parseLine(raw);
+    if (!p) continue;
+    if (p.name === "BEGIN") {
+      stack.push({ type: p.value.trim().toUpperCase(), props: [] });
+    } else if (p.name === "END") {
+      const c = stack.pop();
+      if (c && (c.type === "VEVENT" || c.type === "VTODO")) comps.push(c);
+    } else if (stack.length) {
+      stack[stack.length - 1].props.push(p);
+    }
+  }
+  return comps.map(toEntry).filter(Boolean);
+}
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function addDaysISO(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+function weekdayOf(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+function monthDays(y, m) {
+  return new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+}
+function isoOf(y, m, d) {
+  return new Date(Date.UTC(y, m, d)).toISOString().slice(0, 10);
+}
+
+// Candidate dates of one month, narrowed by BYSETPOS ("-1" = the last candidate)
+function monthDates(y, m, rule, startISO) {
+  const dates = monthCandidates(y, m, rule, startISO);
+  if (!rule.bysetpos?.length) return dates;
+  return Array.from(new Set(rule.bysetpos.map((n) => dates[n > 0 ? n - 1 : dates.length + n]).filter(Boolean))).sort();
+}
+
+// Candidate dates of one month for BYDAY ("MO", "1MO", "-1FR") or BYMONTHDAY
+function monthCandidates(y, m, rule, startISO) {
+  const last = monthDays(y, m);
+  if (rule.byday.length) {
+    const out = [];
+    for (const spec of rule.byday) {
+      const mm = spec.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      if (!mm) continue;
+      const wd = WEEKDAYS.indexOf(mm[2]);
+      const days = [];
+      for (let d = 1; d <= last; d++) if (new Date(Date.UTC(y, m, d)).getUTCDay() === wd) days.push(d);
+      const n = Number(mm[1] || 0);
+      if (!n) days.forEach((d) => out.push(isoOf(y, m, d)));
+      else if (days[n > 0 ? n - 1 : days.length + n]) out.push(isoOf(y, m, days[n > 0 ? n - 1 : days.length + n]));
+    }
+    return out.sort();
+  }
+  const dom = rule.bymonthday.length ? rule.bymonthday : [Number(startISO.slice(8, 10))];
+  return dom
+    .map((d) => (d < 0 ? last + d + 1 : d))
+    .filter((d) => d >= 1 && d <= last)
+    .sort((a, b) => a - b)
+    .map((d) => isoOf(y, m, d));
+}
+
+/**
+ * Dates of a recurring entry within [fromISO, toISO], at most `limit`. COUNT counts from the
+ * first occurrence, so earlier dates are walked but not returned.
+ */
+export function expandRrule(startISO, rule, { fromISO, toISO, limit = 60 }) {
+  const out = [];
+  let seen = 0;
+  const stopAt = rule.until && rule.until < toISO ? rule.until : toISO;
+  const take = (iso) => {
+    if (iso < startISO) return true;
+    if (iso > stopAt || (rule.count && seen >= rule.count)) return false;
+    seen++;
+    if (iso >= fromISO) out.push(iso);
+    return out.length < limit;
+  };
+
+  const [y0, m0] = startISO.split("-").map(Number);
+  for (let i = 0; i < 2000; i++) {
+    let dates;
+    if (rule.freq === "DAILY") {
+      dates = [addDaysISO(startISO, i * rule.interval)];
+    } else if (rule.freq === "WEEKLY") {
+      // Weeks start on Monday (WKST=MO)
+      const monday = addDaysISO(startISO, -((weekdayOf(startISO) + 6) % 7) + i * 7 * rule.interval);
+      const days = rule.byday.length ? rule.byday.map((s) => WEEKDAYS.indexOf(s.slice(-2))).filter((d) => d >= 0) : [weekdayOf(startISO)];
+      dates = days.map((wd) => addDaysISO(monday, (wd + 6) % 7)).sort();
+    } else if (rule.freq === "MONTHLY") {
+      const idx = m0 - 1 + i * rule.interval;
+      dates = monthDates(y0 + Math.floor(idx / 12), idx % 12, rule, startISO);
+    } else if (rule.freq === "YEARLY") {
+      const d = isoOf(y0 + i * rule.interval, m0 - 1, Number(startISO.slice(8, 10)));
+      dates = d.slice(5) === startISO.slice(5) ? [d] : [];
+    } else {
+      return [startISO >= fromISO && startISO <= toISO ? startISO : null].filter(Boolean);
+    }
+    if (dates.length && dates[0] > stopAt) break;
+    for (const iso of dates) if (!take(iso)) return out;
+  }
+  return out;
+}
+
+function plainName(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Owner id for an attendee: our own export's owner URN, a matching email, the full name
+ * ("Fadia (Admin & M&E)" matches "Fadia") or a unique first name. Null when nothing fits.
+ */
+export function matchOwner(attendee, owners) {
+  const idOf = (o) => o.owner_id || o.id;
+  if (attendee.owner_id && owners.some((o) => idOf(o) === attendee.owner_id)) return attendee.owner_id;
+  if (attendee.email) {
+    const byMail = owners.find((o) => String(o.email || "").toLowerCase() === attendee.email);
+    if (byMail) return idOf(byMail);
+  }
+  const name = plainName(attendee.name || attendee.email.split("@")[0]);
+  if (!name) return null;
+  const exact = owners.find((o) => plainName(o.name) === name);
+  if (exact) return idOf(exact);
+  const first = name.split(" ")[0];
+  const byFirst = owners.filter((o) => plainName(o.name).split(" ")[0] === first);
+  return byFirst.length === 1 ? idOf(byFirst[0]) : null;
+}
+
+function pillarFor(categories, pillars) {
+  for (const c of categories) {
+    const k = c.toLowerCase();
+    const p = pillars.find((x) => [x.code, x.id, x.name].some((v) => v && String(v).toLowerCase() === k));
+    if (p) return p.code || p.id;
+  }
+  return null;
+}
+
+/**
+ * Turn parsed entries into items for new_tasks (without ids). Recurring entries become one item per
+ * occurrence from today up to `horizonDays` ahead (at most `limit` each); single entries keep their
+ * own dates even when past. `key` identifies the source ("<uid>" or "<uid>@<date>") for duplicate checks.
+ */
+export function calendarItems(entries, { todayISO, horizonDays = 180, limit = 60, owners = [], pillars = [] }) {
+  const toISO = addDaysISO(todayISO, horizonDays);
+  const exceptions = new Map(); // "<uid>@<date>" → entry replacing that occurrence
+  for (const e of entries) if (e.recurrenceId && e.uid) exceptions.set(`${e.uid}@${e.recurrenceId}`, e);
+
+  const items = [];
+  const build = (e, startISO, key, recurring) => {
+    if (e.status === "CANCELLED") return;
+    const span = e.end && e.start ? Math.max(0, daysBetween(e.start.date, e.end.date) - (e.end.allDay && e.kind === "VEVENT" ? 1 : 0)) : 0;
+    // Organizer first: whoever sent the invite usually owns it
+    const people = (e.organizer ? [e.organizer] : []).concat(
+      e.attendees.filter((a) => !e.organizer || !a.email || a.email !== e.organizer.email)
+    );
+    const ids = [];
+    const unmatched = [];
+    for (const a of people) {
+      const id = matchOwner(a, owners);
+      if (id && !ids.includes(id)) ids.push(id);
+      else if (!id && (a.name || a.email)) unmatched.push(a.name || a.email);
+    }
+    const time = e.start && !e.start.allDay ? `${e.start.time}${e.end && !e.end.allDay ? `–${e.end.time}` : ""}` : "";
+    const notes = [time && `Time: ${time}`, e.location && `Where: ${e.location}`, unmatched.length && `With: ${unmatched.join(", ")}`, e.description]
+      .filter(Boolean)
+      .join("\n")
+      .slice(0, 2000);
+    const isTodo = e.kind === "VTODO";
+    items.push({
+      key,
+      recurring,
+      title: e.title,
+      type: isTodo ? "task" : people.length > 1 || e.rrule ? "meeting" : "event",
+      start_date: isTodo && !e.dated ? null : startISO,
+      due_date: isTodo ? e.end?.date || startISO : addDaysISO(startISO, span),
+      owner_id: ids[0] || null,
+      support_owner_ids: ids.slice(1),
+      pillar: pillarFor(e.categories, pillars),
+      priority: e.priority ? (e.priority <= 4 ? 1 : e.priority >= 6 ? 3 : 2) : 2,
+      status: isTodo && e.status === "COMPLETED" ? "completed" : undefined,
+      notes
+    });
+  };
+
+  for (const e of entries) {
+    if (e.recurrenceId) continue;
+    const uid = e.uid || `${e.title}|${e.start.date}`;
+    if (!e.rrule) {
+      build(e, e.start.date, uid, false);
+      continue;
+    }
+    const dates = expandRrule(e.start.date, e.rrule, { fromISO: todayISO, toISO, limit });
+    for (const iso of dates) {
+      if (e.exdates.has(iso)) continue;
+      const ex = exceptions.get(`${e.uid}@${iso}`);
+      if (ex) build(ex, ex.start.date, `${uid}@${iso}`, true);
+      else build(e, iso, `${uid}@${iso}`, true);
+    }
+  }
+  return items;
+}
+
+function daysBetween(a, b) {
+  const [y1, m1, d1] = a.split("-").map(Number);
+  const [y2, m2, d2] = b.split("-").map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 864e5);
+}
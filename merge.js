@@ -0,0 +1,248 @@
+// Three-way merge of overlay objects (mine vs. a teammate's overrides.json).
+// `base` is the last state both sides shared (null when unknown: every difference is then a
+// potential conflict and the newer updated_at wins by default).
+
+function stable(x) {
+  if (Array.isArray(x)) return `[${x.map(stable).join(",")}]`;
+  if (x && typeof x === "object") {
+    return `{${Object.keys(x)
+      .filter((k) => x[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stable(x[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(x ?? null);
+}
+export function same(a, b) {
+  return stable(a) === stable(b);
+}
+
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+const clone = (x) => (x === undefined ? undefined : JSON.parse(JSON.stringify(x)));
+const newer = (a, b) => (a || "") >= (b || "");
+
+// Fields that describe the record rather than its content
+const META_FIELDS = new Set(["updated_at"]);
+
+/**
+ * Merge flat records field by field. Pushes conflicts (both sides changed a field differently).
+ * `times` = { local, remote } ISO timestamps used to pick the default side.
+ */
+function mergeRecord(path, b, l, r, times, conflicts) {
+  const out = {};
+  const keys = new Set([...Object.keys(l || {}), ...Object.keys(r || {}), ...Object.keys(b || {})]);
+  for (const k of keys) {
+    if (META_FIELDS.has(k)) continue;
+    const bv = b?.[k];
+    const lv = l?.[k];
+    const rv = r?.[k];
+    let v;
+    if (same(lv, rv)) v = lv;
+    else if (b && same(lv, bv)) v = rv;
+    else if (b && same(rv, bv)) v = lv;
+    // Only one side set a field the base never had: nothing to conflict with
+    else if (bv === undefined && (lv === undefined || rv === undefined)) v = lv === undefined ? rv : lv;
+    else {
+      const pick = newer(times.local, times.remote) ? "local" : "remote";
+      conflicts.push({
+        path: path.concat(k),
+        field: k,
+        base: clone(bv),
+        local: clone(lv),
+        remote: clone(rv),
+        localAt: times.local || null,
+        remoteAt: times.remote || null,
+        pick
+      });
+      v = pick === "local" ? lv : rv;
+    }
+    if (v !== undefined) out[k] = clone(v);
+  }
+  const stamps = [l?.updated_at, r?.updated_at].filter(Boolean).sort();
+  if (stamps.length) out.updated_at = stamps[stamps.length - 1];
+  return out;
+}
+
+// Keyed collections: a key kept by one side and removed by the other is removed only if the
+// keeper did not change it since base.
+function mergeKeyed(path, b, l, r, times, conflicts, { deleted = new Set(), recordTimes } = {}) {
+  const out = {};
+  const keys = new Set([...Object.keys(l || {}), ...Object.keys(r || {})]);
+  for (const id of keys) {
+    if (deleted.has(id)) continue;
+    const bv = b?.[id];
+    const lv = l?.[id];
+    const rv = r?.[id];
+    const t = recordTimes ? recordTimes(lv, rv) : times;
+    if (lv && rv) {
+      out[id] = mergeRecord(path.concat(id), bv, lv, rv, t, conflicts);
+    } else {
+      const kept = lv || rv;
+      // Present in base and removed on one side: honour the removal unless the other side edited it
+      if (bv && same(kept, bv)) continue;
+      out[id] = clone(kept);
+    }
+  }
+  return out;
+}
+
+function mergeSet(b, l, r) {
+  const bs = new Set(b || []);
+  const ls = new Set(l || []);
+  const rs = new Set(r || []);
+  const out = [];
+  for (const x of new Set([...ls, ...rs])) {
+    const inBoth = ls.has(x) && rs.has(x);
+    const added = !bs.has(x);
+    if (inBoth || added) out.push(x);
+  }
+  return out;
+}
+
+function logKey(e) {
+  return `${e?.id}|${e?.at}|${e?.reason ?? ""}|${e?.completed ?? ""}|${e?.field ?? ""}`;
+}
+function mergeLog(l, r) {
+  const seen = new Set();
+  const out = [];
+  for (const e of (l || []).concat(r || [])) {
+    const k = logKey(e);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(e);
+  }
+  return out.sort((a, b) => (a.at || "").localeCompare(b.at || ""));
+}
+
+export function mergeOverlays(base, local, remote) {
+  const conflicts = [];
+  const times = { local: local.updated_at, remote: remote.updated_at };
+  const perRecord = (lv, rv) => ({
+    local: lv?.updated_at || local.updated_at,
+    remote: rv?.updated_at || remote.updated_at
+  });
+
+  const merged = { ...clone(local) };
+  merged.deletions = mergeSet(base?.deletions, local.deletions, remote.deletions);
+  const deleted = new Set(merged.deletions);
+
+  merged.task_overrides = mergeKeyed(["task_overrides"], base?.task_overrides, local.task_overrides, remote.task_overrides, times, conflicts, {
+    deleted,
+    recordTimes: perRecord
+  });
+
+  const byId = (arr) => Object.fromEntries((arr || []).filter((t) => t && t.id).map((t) => [t.id, t]));
+  const nt = mergeKeyed(["new_tasks"], byId(base?.new_tasks), byId(local.new_tasks), byId(remote.new_tasks), times, conflicts, {
+    deleted,
+    recordTimes: perRecord
+  });
+  // Keep local order, then the teammate's additions
+  const order = (local.new_tasks || []).concat(remote.new_tasks || []).map((t) => t?.id);
+  merged.new_tasks = Array.from(new Set(order))
+    .filter((id) => nt[id])
+    .map((id) => ({ ...nt[id], id }));
+
+  // Recurrence: rule-level fields, then each occurrence
+  const ro = {};
+  const lro = local.recurrence_overrides || {};
+  const rro = remote.recurrence_overrides || {};
+  const bro = base?.recurrence_overrides || {};
+  for (const id of new Set([...Object.keys(lro), ...Object.keys(rro)])) {
+    const strip = (x) => (isObj(x) ? { ...x, occurrences: undefined } : x);
+    const rule = mergeRecord(["recurrence_overrides", id], strip(bro[id]), strip(lro[id]), strip(rro[id]), times, conflicts);
+    const occ = mergeKeyed(
+      ["recurrence_overrides", id, "occurrences"],
+      bro[id]?.occurrences,
+      lro[id]?.occurrences,
+      rro[id]?.occurrences,
+      times,
+      conflicts
+    );
+    ro[id] = Object.keys(occ).length ? { ...rule, occurrences: occ } : rule;
+  }
+  merged.recurrence_overrides = ro;
+
+  // Trash entries are whole records: keep whichever side has one unless the item was restored
+  merged.trash = {};
+  for (const id of new Set([...Object.keys(local.trash || {}), ...Object.keys(remote.trash || {})])) {
+    if (!deleted.has(id)) continue;
+    const l = local.trash?.[id];
+    const r = remote.trash?.[id];
+    merged.trash[id] = clone(l && r ? (newer(l.deleted_at, r.deleted_at) ? l : r) : l || r);
+  }
+
+  // Provenance follows the override it describes; ours wins when both sides have one
+  merged.override_base = {};
+  for (const id of Object.keys(merged.task_overrides)) {
+    const rec = local.override_base?.[id] || remote.override_base?.[id];
+    if (rec) merged.override_base[id] = clone(rec);
+  }
+
+  merged.capacity = mergeRecord(["capacity"], base?.capacity, local.capacity || {}, remote.capacity || {}, times, conflicts);
+  delete merged.capacity.updated_at;
+
+  // Learning logs are append-only: union them
+  const ll = local.learning || {};
+  const rl = remote.learning || {};
+  const completion_log = mergeLog(ll.completion_log, rl.completion_log);
+  const move_log = mergeLog(ll.move_log, rl.move_log);
+  const change_log = mergeLog(ll.change_log, rl.change_log);
+  const addedCompletes = completion_log.length - (ll.completion_log || []).length;
+  const addedMoves = move_log.length - (ll.move_log || []).length;
+  merged.learning = {
+    ...clone(ll),
+    completion_log,
+    move_log,
+    change_log,
+    stats: {
+      ...(ll.stats || {}),
+      completes: (ll.stats?.completes || 0) + Math.max(0, addedCompletes),
+      moves: (ll.stats?.moves || 0) + Math.max(0, addedMoves)
+    }
+  };
+
+  merged.updated_at = [local.updated_at, remote.updated_at].filter(Boolean).sort().pop() || new Date().toISOString();
+  return { merged, conflicts };
+}
+
+// Apply the user's picks ({pick: "local"|"remote"} on each conflict) to a merge result.
+export function resolveConflicts(merged, conflicts) {
+  const out = clone(merged);
+  for (const c of conflicts) {
+    const value = c.pick === "local" ? c.local : c.remote;
+    let node = out;
+    const path = c.path.slice();
+    const last = path.pop();
+    for (const k of path) {
+      if (path[0] === "new_tasks" && Array.isArray(node)) {
+        node = node.find((t) => t.id === k);
+      } else {
+        if (node[k] === undefined || node[k] === null) node[k] = {};
+        node = node[k];
+      }
+      if (!node) break;
+    }
+    if (!node) continue;
+    if (value === undefined) delete node[last];
+    else node[last] = clone(value);
+  }
+  return out;
+}
+
+/**
+ * Replay the change from `before` to `after` (a sync pull) on `snapshot`, an older local state such
+ * as an undo step. Conflicts are fields that both the pull and the snapshot changed.
+ */
+export function rebaseOverlays(before, after, snapshot) {
+  const { merged, conflicts } = mergeOverlays(before, snapshot, after);
+  // Logs take only what the pull added; local entries newer than the snapshot stay undone
+  const stats = { ...(snapshot.learning?.stats || {}) };
+  for (const [k, stat] of [["completion_log", "completes"], ["move_log", "moves"], ["change_log", null]]) {
+    const seen = new Set((before.learning?.[k] || []).map(logKey));
+    const pulled = (after.learning?.[k] || []).filter((e) => !seen.has(logKey(e)));
+    merged.learning[k] = mergeLog(snapshot.learning?.[k], pulled);
+    if (stat) stats[stat] = (stats[stat] || 0) + pulled.length;
+  }
+  merged.learning.stats = stats;
+  return { overlays: merged, conflicts };
+}
@@ -0,0 +1,203 @@
+// Overlay schema: default shape, versioned migrations and validation.
+// Every stored or imported overlay passes through readOverlays() before the app touches it.
+//
+// Adding a field: bump OVERLAYS_VERSION, add it to defaultOverlays(), and add a
+// MIGRATIONS[previousVersion] step that upgrades older objects in place.
+
+export const OVERLAYS_VERSION = 5;
+
+export function defaultOverlays() {
+  return {
+    version: OVERLAYS_VERSION,
+    updated_at: new Date().toISOString(),
+    deletions: [],
+    task_overrides: {},
+    new_tasks: [],
+    recurrence_overrides: {},
+    capacity: {}, // owner_id -> daily minutes
+    trash: {}, // id -> { item, override, new_task, deleted_at, source }
+    override_base: {}, // id -> { version, title, fields: { field: base value when first overridden } }
+    learning: {
+      completion_log: [],
+      move_log: [],
+      change_log: [], // { id, field, before, after, source, at }
+      stats: { moves: 0, completes: 0 }
+    }
+  };
+}
+
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+// MIGRATIONS[n] upgrades a version-n object to version n+1 and returns notes for the report.
+const MIGRATIONS = {
+  // v1 → v2: per-owner capacity; recurrence overrides hold per-occurrence state
+  1(o) {
+    const notes = [];
+    if (!isObj(o.capacity)) o.capacity = {};
+    for (const [id, ro] of Object.entries(isObj(o.recurrence_overrides) ? o.recurrence_overrides : {})) {
+      if (!isObj(ro)) {
+        o.recurrence_overrides[id] = { enabled: ro !== false };
+        notes.push(`recurrence override ${id} converted to an object`);
+      }
+    }
+    return notes;
+  },
+  // v2 → v3: per-item change history, seeded from the completion and move logs
+  2(o) {
+    if (!isObj(o.learning)) return [];
+    const l = o.learning;
+    if (Array.isArray(l.change_log)) return [];
+    const seeded = [];
+    for (const e of Array.isArray(l.completion_log) ? l.completion_log : []) {
+      if (!e?.id) continue;
+      seeded.push({ id: e.id, field: "status", before: null, after: e.completed ? "completed" : "open", source: "manual", at: e.at || null });
+    }
+    for (const e of Array.isArray(l.move_log) ? l.move_log : []) {
+      if (!e?.id) continue;
+      for (const f of ["start_date", "due_date"]) {
+        if ((e.from?.[f] ?? null) === (e.to?.[f] ?? null)) continue;
+        seeded.push({
+          id: e.id,
+          field: f,
+          before: e.from?.[f] ?? null,
+          after: e.to?.[f] ?? null,
+          source: e.reason === "cascade" ? "cascade" : e.reason === "timeline_drag" ? "timeline" : "manual",
+          at: e.at || null
+        });
+      }
+    }
+    l.change_log = seeded.sort((a, b) => (a.at || "").localeCompare(b.at || ""));
+    return seeded.length ? [`${seeded.length} history entries rebuilt from the learning logs`] : [];
+  },
+  // v3 → v4: deleted items keep their last content in a trash map
+  3(o) {
+    if (!isObj(o.trash)) o.trash = {};
+    return [];
+  },
+  // v4 → v5: which base values each override was made against (filled in against the loaded base)
+  4(o) {
+    if (!isObj(o.override_base)) o.override_base = {};
+    return [];
+  }
+};
+
+function sanitize(o, warnings) {
+  const d = defaultOverlays();
+  const out = { ...d, ...o };
+
+  out.deletions = Array.isArray(o.deletions) ? o.deletions.filter((x) => typeof x === "string" && x) : [];
+  if (Array.isArray(o.deletions) && out.deletions.length !== o.deletions.length) {
+    warnings.push(`${o.deletions.length - out.deletions.length} invalid deletion id(s) dropped`);
+  }
+
+  out.task_overrides = {};
+  for (const [id, patch] of Object.entries(isObj(o.task_overrides) ? o.task_overrides : {})) {
+    if (isObj(patch)) out.task_overrides[id] = patch;
+    else warnings.push(`override for ${id} is not an object; dropped`);
+  }
+
+  out.new_tasks = [];
+  for (const t of Array.isArray(o.new_tasks) ? o.new_tasks : []) {
+    if (isObj(t) && typeof t.id === "string" && t.id) out.new_tasks.push(t);
+    else warnings.push("a new task without an id was dropped");
+  }
+
+  out.recurrence_overrides = isObj(o.recurrence_overrides) ? o.recurrence_overrides : {};
+
+  out.capacity = {};
+  for (const [id, v] of Object.entries(isObj(o.capacity) ? o.capacity : {})) {
+    const n = Number(v);
+    if (Number.isFinite(n) && n > 0) out.capacity[id] = Math.round(n);
+  }
+
+  out.trash = {};
+  for (const [id, entry] of Object.entries(isObj(o.trash) ? o.trash : {})) {
+    if (isObj(entry)) out.trash[id] = entry;
+    else warnings.push(`trash entry ${id} is not an object; dropped`);
+  }
+
+  out.override_base = {};
+  for (const [id, rec] of Object.entries(isObj(o.override_base) ? o.override_base : {})) {
+    if (isObj(rec) && isObj(rec.fields)) out.override_base[id] = rec;
+  }
+
+  const l = isObj(o.learning) ? o.learning : {};
+  out.learning = {
+    ...d.learning,
+    ...l,
+    completion_log: Array.isArray(l.completion_log) ? l.completion_log : [],
+    move_log: Array.isArray(l.move_log) ? l.move_log : [],
+    change_log: Array.isArray(l.change_log) ? l.change_log.filter((e) => isObj(e) && e.id && e.field) : [],
+    stats: { ...d.learning.stats, ...(isObj(l.stats) ? l.stats : {}) }
+  };
+
+  for (const key of ["deletions", "task_overrides", "new_tasks", "recurrence_overrides", "trash", "learning"]) {
+    if (o[key] !== undefined && !(key === "deletions" || key === "new_tasks" ? Array.isArray(o[key]) : isObj(o[key]))) {
+      warnings.push(`"${key}" had the wrong type and was reset`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Migrate + validate any overlay object (from storage or an imported file).
+ * Returns { ok, overlays, report: { from, to, steps[], warnings[], error } }.
+ * ok is false for malformed input or a file written by a newer app version;
+ * in the newer case `overlays` is still a best-effort sanitized copy.
+ */
+export function readOverlays(raw) {
+  const report = { from: null, to: OVERLAYS_VERSION, steps: [], warnings: [], error: null };
+
+  if (!isObj(raw)) {
+    report.error = "Not an overlays object.";
+    return { ok: false, overlays: defaultOverlays(), report };
+  }
+  const looksLikeOverlays = ["deletions", "task_overrides", "new_tasks", "recurrence_overrides", "learning", "version"].some(
+    (k) => k in raw
+  );
+  if (!looksLikeOverlays) {
+    report.error = Array.isArray(raw.tasks)
+      ? "This looks like a tasks.json / merged.json, not an overrides.json."
+      : "No overlay fields found.";
+    return { ok: false, overlays: defaultOverlays(), report };
+  }
+
+  // Files from before versioning carry no version; treat them as v1
+  const from = raw.version === undefined ? 1 : Number(raw.version);
+  report.from = from;
+  if (!Number.isInteger(from) || from < 1) {
+    report.error = `Unknown overlays version "${raw.version}".`;
+    return { ok: false, overlays: defaultOverlays(), report };
+  }
+
+  const o = JSON.parse(JSON.stringify(raw));
+  if (from > OVERLAYS_VERSION) {
+    report.error = `Written by a newer app (overlays v${from}; this app reads up to v${OVERLAYS_VERSION}).`;
+    return { ok: false, overlays: { ...sanitize(o, report.warnings), version: OVERLAYS_VERSION }, report };
+  }
+
+  for (let v = from; v < OVERLAYS_VERSION; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) {
+      report.error = `No migration from overlays v${v}.`;
+      return { ok: false, overlays: defaultOverlays(), report };
+    }
+    const notes = step(o) || [];
+    report.steps.push(`v${v} → v${v + 1}${notes.length ? `: ${notes.join("; ")}` : ""}`);
+    o.version = v + 1;
+  }
+
+  const overlays = sanitize(o, report.warnings);
+  overlays.version = OVERLAYS_VERSION;
+  return { ok: true, overlays, report };
+}
+
+// One-line human summary of a readOverlays() report.
+export function describeOverlayReport(report) {
+  if (report.error) return report.error;
+  const bits = [];
+  if (report.from !== null && report.from < report.to) bits.push(`Upgraded from v${report.from} to v${report.to}`);
+  else bits.push(`Overlays v${report.to}`);
+  if (report.warnings.length) bits.push(`${report.warnings.length} problem(s) fixed`);
+  return bits.join(" · ");
+}
@@ -0,0 +1,156 @@
+// "Publish base": fold local overlays into a clean tasks.json that can be released to the team.
+
+const LOCAL_ONLY = new Set(["updated_at"]);
+
+// Drop decorations (__blocked_by, __recurring, …) and overlay bookkeeping from an item
+function clean(item) {
+  const out = {};
+  for (const [k, v] of Object.entries(item || {})) {
+    if (k.startsWith("__") || LOCAL_ONLY.has(k) || v === undefined) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Next release version. Versions look like "2026.02.24-02": same day bumps the suffix,
+ * a new day starts at -01.
+ */
+export function nextVersion(current, todayISO) {
+  const day = todayISO.replace(/-/g, ".");
+  const m = String(current || "").match(/^(\d{4}\.\d{2}\.\d{2})-(\d+)$/);
+  if (m && m[1] === day) return `${day}-${String(Number(m[2]) + 1).padStart(m[2].length, "0")}`;
+  return `${day}-01`;
+}
+
+// Real ids for temp_ items: "<pillar>-<n>" continuing the highest number already used for that prefix.
+function allocateIds(items, tempItems) {
+  const highest = new Map();
+  const width = new Map();
+  for (const it of items) {
+    const m = String(it.id).match(/^([A-Z][A-Z0-9]*)-(\d+)$/);
+    if (!m) continue;
+    highest.set(m[1], Math.max(highest.get(m[1]) || 0, Number(m[2])));
+    width.set(m[1], Math.max(width.get(m[1]) || 0, m[2].length));
+  }
+  const idMap = new Map();
+  for (const t of tempItems) {
+    const prefix = String(t.pillar || "TASK").toUpperCase().replace(/[^A-Z0-9]/g, "") || "TASK";
+    const n = (highest.get(prefix) || 0) + 1;
+    highest.set(prefix, n);
+    idMap.set(t.id, `${prefix}-${String(n).padStart(width.get(prefix) || 3, "0")}`);
+  }
+  return idMap;
+}
+
+/**
+ * Build a publishable tasks.json from a base and its overlays.
+ * Returns { data, idMap, report: { updated, added, deleted, rules, droppedOccurrences } }.
+ * Per-occurrence state (completed/skipped meetings) has no place in a base file and is dropped.
+ */
+export function publishBase(base, overlays, { todayISO }) {
+  const deletions = new Set(overlays.deletions || []);
+  const overrides = overlays.task_overrides || {};
+  const patch = (x) => (overrides[x.id] ? { ...x, ...overrides[x.id] } : x);
+
+  const keep = (arr) => (Array.isArray(arr) ? arr : []).filter((x) => x && x.id && !deletions.has(x.id));
+  const baseTasks = keep(base.tasks);
+  const baseEvents = keep(base.events);
+  const updated = baseTasks.concat(baseEvents).filter((x) => overrides[x.id]).length;
+
+  const added = keep(overlays.new_tasks).map(patch);
+  let tasks = baseTasks.map(patch).concat(added).map(clean);
+  let events = baseEvents.map(patch).map(clean);
+
+  // Deleted ids stay taken: teammates' overlays and logs may still refer to them
+  const used = (base.tasks || []).concat(base.events || []).filter((x) => x && x.id).concat(tasks, events);
+  const idMap = allocateIds(used, added.filter((t) => String(t.id).startsWith("temp_")));
+  const remap = (id) => idMap.get(id) || id;
+  const renumber = (x) => {
+    const out = { ...x, id: remap(x.id) };
+    if (Array.isArray(x.dependencies)) out.dependencies = x.dependencies.filter((d) => !deletions.has(d)).map(remap);
+    return out;
+  };
+  tasks = tasks.map(renumber);
+  events = events.map(renumber);
+
+  // Rules: fold enable/disable and anchors; pin BIWEEKLY phase since last_updated is about to change
+  let droppedOccurrences = 0;
+  const ro = overlays.recurrence_overrides || {};
+  const rules = (Array.isArray(base.recurrence_rules) ? base.recurrence_rules : []).map((r) => {
+    const ov = ro[r.id] && typeof ro[r.id] === "object" ? ro[r.id] : {};
+    const out = clean(r);
+    if (ov.enabled !== undefined) out.enabled = ov.enabled;
+    if (ov.anchor_date) out.start_date = ov.anchor_date;
+    if (String(out.frequency || "").toUpperCase() === "BIWEEKLY" && !out.start_date && base.meta?.last_updated) {
+      out.start_date = base.meta.last_updated;
+    }
+    droppedOccurrences += Object.keys(ov.occurrences || {}).length;
+    return out;
+  });
+
+  const data = {
+    ...base,
+    meta: { ...(base.meta || {}), version: nextVersion(base.meta?.version, todayISO), last_updated: todayISO },
+    recurrence_rules: rules,
+    tasks,
+    events
+  };
+  // Released files ship with an empty overlay block, like the original tasks.json
+  if ("__overlays" in base) {
+    data.__overlays = {
+      version: overlays.version,
+      updated_at: `${todayISO}T00:00:00.000Z`,
+      deletions: [],
+      task_overrides: {},
+      new_tasks: [],
+      recurrence_overrides: {}
+    };
+  }
+
+  return {
+    data,
+    idMap,
+    report: {
+      updated,
+      added: added.length,
+      deleted: (base.tasks || []).concat(base.events || []).filter((x) => x && deletions.has(x.id)).length,
+      rules: Object.keys(ro).length,
+      droppedOccurrences
+    }
+  };
+}
+
+/**
+ * Overlays to keep once `data` from publishBase() is the released tasks.json: edits, new items,
+ * deletions and rule switches now live in the file. Per-meeting state, trash for items that never
+ * reached the file and the logs stay, with temp_ ids renamed to the published ones.
+ */
+export function publishedOverlays(base, overlays, idMap) {
+  const baseIds = new Set((base.tasks || []).concat(base.events || []).filter((x) => x && x.id).map((x) => x.id));
+  const rename = (e) => (e && idMap.has(e.id) ? { ...e, id: idMap.get(e.id) } : e);
+
+  const recurrence_overrides = {};
+  for (const [id, ov] of Object.entries(overlays.recurrence_overrides || {})) {
+    if (ov && typeof ov === "object" && Object.keys(ov.occurrences || {}).length) recurrence_overrides[id] = { occurrences: ov.occurrences };
+  }
+  const trash = {};
+  for (const [id, entry] of Object.entries(overlays.trash || {})) if (!baseIds.has(id)) trash[id] = entry;
+
+  const learning = overlays.learning || {};
+  return {
+    ...overlays,
+    deletions: [],
+    task_overrides: {},
+    new_tasks: [],
+    recurrence_overrides,
+    trash,
+    override_base: {},
+    learning: {
+      ...learning,
+      completion_log: (learning.completion_log || []).map(rename),
+      move_log: (learning.move_log || []).map(rename),
+      change_log: (learning.change_log || []).map(rename)
+    }
+  };
+}
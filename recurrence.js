@@ -0,0 +1,194 @@
+// Recurrence engine: expands base recurrence_rules into dated occurrences.
+// Per-occurrence state (complete / skip / reschedule) lives in overlays.recurrence_overrides:
+//   { [ruleId]: { enabled, anchor_date?, occurrences: { [scheduledISO]: { status, completed_at, moved_to } } } }
+
+const DAY_INDEX = {
+  SUNDAY: 0,
+  MONDAY: 1,
+  TUESDAY: 2,
+  WEDNESDAY: 3,
+  THURSDAY: 4,
+  FRIDAY: 5,
+  SATURDAY: 6
+};
+
+function parseISODate(s) {
+  if (!s || typeof s !== "string") return null;
+  const [y, m, d] = s.split("-").map(Number);
+  if (!y || !m || !d) return null;
+  return new Date(y, m - 1, d, 12, 0, 0, 0);
+}
+function isoFromDate(dateObj) {
+  const y = dateObj.getFullYear();
+  const m = String(dateObj.getMonth() + 1).padStart(2, "0");
+  const d = String(dateObj.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+function weekdayIndex(name) {
+  const k = (name || "").toString().toUpperCase().trim();
+  return k in DAY_INDEX ? DAY_INDEX[k] : null;
+}
+
+export function occurrenceId(ruleId, iso) {
+  return `${ruleId}@${iso}`;
+}
+
+export function parseOccurrenceId(id) {
+  const s = (id || "").toString();
+  const i = s.lastIndexOf("@");
+  if (i <= 0) return null;
+  const date = s.slice(i + 1);
+  if (!parseISODate(date)) return null;
+  return { ruleId: s.slice(0, i), date };
+}
+
+export function ruleOverride(overrides, ruleId) {
+  const o = overrides?.[ruleId];
+  return o && typeof o === "object" ? o : {};
+}
+
+// A published base may carry `enabled: false` on the rule itself; a local override wins.
+export function isRuleEnabled(overrides, ruleId, rule = null) {
+  return ruleOverride(overrides, ruleId).enabled ?? rule?.enabled ?? true;
+}
+
+// First date on/after `from` that falls on `weekday` (0-6).
+function nextWeekday(from, weekday) {
+  const shift = (weekday - from.getDay() + 7) % 7;
+  return addDays(from, shift);
+}
+
+function monthlyDate(year, month, rule) {
+  const last = new Date(year, month + 1, 0, 12, 0, 0, 0).getDate();
+  const wd = weekdayIndex(rule.day_of_week);
+  if (wd !== null) {
+    // Nth weekday of the month (week_of_month 1-4, or -1 for the last one). Default: first.
+    const nth = Number(rule.week_of_month) || 1;
+    if (nth < 0) {
+      const end = new Date(year, month, last, 12, 0, 0, 0);
+      return addDays(end, -((end.getDay() - wd + 7) % 7));
+    }
+    const first = nextWeekday(new Date(year, month, 1, 12, 0, 0, 0), wd);
+    const d = addDays(first, (Math.min(nth, 5) - 1) * 7);
+    return d.getMonth() === month ? d : null;
+  }
+  const dom = Math.min(Math.max(Number(rule.day_of_month) || 1, 1), last);
+  return new Date(year, month, dom, 12, 0, 0, 0);
+}
+
+/**
+ * Scheduled (un-overridden) dates for one rule inside [fromISO, toISO].
+ * BIWEEKLY rules are phased from the anchor: override.anchor_date, rule.start_date, or the fallback anchorISO.
+ */
+export function ruleDates(rule, fromISO, toISO, { anchorISO = null, override = {} } = {}) {
+  const from = parseISODate(fromISO);
+  const to = parseISODate(toISO);
+  if (!rule || !from || !to || from > to) return [];
+
+  const anchor = parseISODate(override.anchor_date || rule.start_date || anchorISO) || from;
+  const until = parseISODate(rule.end_date || rule.until);
+  const lo = anchor > from ? anchor : from;
+  const hi = until && until < to ? until : to;
+  if (lo > hi) return [];
+
+  const freq = (rule.frequency || "").toUpperCase();
+  const out = [];
+
+  if (freq === "WEEKLY" || freq === "BIWEEKLY") {
+    const wd = weekdayIndex(rule.day_of_week) ?? anchor.getDay();
+    const step = freq === "BIWEEKLY" ? 14 : 7;
+    let d = nextWeekday(anchor, wd);
+    if (d < lo) {
+      const skip = Math.floor((lo - d) / (step * 864e5));
+      d = addDays(d, skip * step);
+      while (d < lo) d = addDays(d, step);
+    }
+    for (; d <= hi; d = addDays(d, step)) out.push(isoFromDate(d));
+    return out;
+  }
+
+  if (freq === "MONTHLY") {
+    for (let y = lo.getFullYear(), m = lo.getMonth(); ; m++) {
+      if (m > 11) {
+        m = 0;
+        y++;
+      }
+      const first = new Date(y, m, 1, 12, 0, 0, 0);
+      if (first > hi) break;
+      const d = monthlyDate(y, m, rule);
+      if (d && d >= lo && d <= hi) out.push(isoFromDate(d));
+    }
+    return out;
+  }
+
+  return out;
+}
+
+/**
+ * Expand every enabled rule into occurrence items whose effective date is inside [fromISO, toISO].
+ * Skipped occurrences are dropped; rescheduled ones are placed on their moved_to date.
+ */
+export function expandRecurrence(rules, overrides, { fromISO, toISO, anchorISO = null } = {}) {
+  const list = Array.isArray(rules) ? rules : [];
+  const from = parseISODate(fromISO);
+  const to = parseISODate(toISO);
+  if (!from || !to) return [];
+
+  // Look a little outside the window so occurrences moved into it are still found.
+  const scanFrom = isoFromDate(addDays(from, -62));
+  const scanTo = isoFromDate(addDays(to, 62));
+
+  const out = [];
+  for (const rule of list) {
+    if (!rule || !rule.id) continue;
+    const ov = ruleOverride(overrides, rule.id);
+    if (!(ov.enabled ?? rule.enabled ?? true)) continue;
+    const occ = ov.occurrences && typeof ov.occurrences === "object" ? ov.occurrences : {};
+
+    for (const iso of ruleDates(rule, scanFrom, scanTo, { anchorISO, override: ov })) {
+      const st = occ[iso] || {};
+      if (st.status === "skipped") continue;
+      const eff = st.moved_to || iso;
+      if (eff < fromISO || eff > toISO) continue;
+
+      out.push({
+        id: occurrenceId(rule.id, iso),
+        rule_id: rule.id,
+        occurrence_date: iso,
+        title: rule.title || rule.id,
+        pillar: rule.pillar || null,
+        owner_id: rule.owner_id || null,
+        notes: rule.notes || "",
+        type: rule.type || "meeting",
+        priority: rule.priority ?? null,
+        frequency: rule.frequency || "",
+        start_date: eff,
+        due_date: eff,
+        status: st.status === "completed" ? "completed" : "open",
+        completed_at: st.completed_at || null,
+        __recurring: true
+      });
+    }
+  }
+  return out;
+}
+
+// Next scheduled (not skipped) date on/after fromISO, looking ahead up to ~6 months.
+export function nextOccurrenceDate(rule, overrides, fromISO, { anchorISO = null } = {}) {
+  const from = parseISODate(fromISO);
+  if (!from) return null;
+  const ov = ruleOverride(overrides, rule.id);
+  const occ = ov.occurrences || {};
+  const dates = ruleDates(rule, fromISO, isoFromDate(addDays(from, 190)), { anchorISO, override: ov });
+  for (const iso of dates) {
+    const st = occ[iso] || {};
+    if (st.status === "skipped") continue;
+    return st.moved_to || iso;
+  }
+  return null;
+}
@@ -0,0 +1,132 @@
+// Offline support for the dashboard.
+// - App shell and modules: cache first, refreshed when a new worker installs (bump SHELL_VERSION on release).
+// - Data files (tasks.json, other workspaces' base files, AI references): stale-while-revalidate;
+//   pages are told when a base file's meta.version changes.
+// - A new worker waits until the page asks it to take over (update-on-reload).
+
+const SHELL_VERSION = "v5";
+const SHELL_CACHE = `noobi-shell-${SHELL_VERSION}`;
+const DATA_CACHE = "noobi-data";
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./styles.css",
+  "./manifest.json",
+  "./app.js",
+  "./recurrence.js",
+  "./dependencies.js",
+  "./clusters.js",
+  "./validate.js",
+  "./donors.js",
+  "./overlays.js",
+  "./merge.js",
+  "./storage.js",
+  "./publish.js",
+  "./sync.js",
+  "./workspaces.js",
+  "./ics.js",
+  "./csv.js",
+  "./agenda.js",
+  "./ai/engine.js",
+  "./ai/providers.js",
+  "./ai/prompts.js",
+  "./ai/context.js"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) =>
+      // One missing file should not stop the rest from being cached
+      Promise.all(
+        SHELL.map((url) =>
+          cache.add(new Request(url, { cache: "reload" })).catch((e) => console.warn("Not cached:", url, e))
+        )
+      )
+    )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("noobi-shell-") && k !== SHELL_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Any JSON next to the app except the manifest: workspaces can point at base files anywhere on the site
+function isData(url) {
+  return url.pathname.endsWith(".json") && !url.pathname.endsWith("/manifest.json");
+}
+
+async function versionOf(response) {
+  try {
+    const data = await response.clone().json();
+    return data?.meta?.version ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function notifyClients(message) {
+  const list = await self.clients.matchAll({ type: "window" });
+  list.forEach((c) => c.postMessage(message));
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = event.request.url.split("?")[0];
+  const cached = await cache.match(key);
+
+  const refresh = fetch(event.request, { cache: "no-store" })
+    .then(async (res) => {
+      if (!res.ok) return res;
+      const [before, after] = await Promise.all([cached ? versionOf(cached) : null, versionOf(res)]);
+      await cache.put(key, res.clone());
+      if (cached && after && before !== after) {
+        notifyClients({ type: "TASKS_UPDATED", url: key, version: after, previous: before });
+      }
+      return res;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  const fresh = await refresh;
+  return fresh || new Response(JSON.stringify({ error: "offline" }), { status: 503, headers: { "Content-Type": "application/json" } });
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch {
+    // Offline navigation to a URL we never cached: serve the app shell
+    if (request.mode === "navigate") return (await cache.match("./index.html")) || Response.error();
+    return Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  // AI providers and sync servers live elsewhere; never cache them
+  if (url.origin !== self.location.origin) return;
+
+  if (isData(url)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  event.respondWith(cacheFirst(req));
+});
@@ -0,0 +1,247 @@
+// Overlay persistence.
+// IndexedDB keeps one record per override / new task / recurrence rule and appends log entries,
+// so a click writes only what changed and the learning logs keep their full history.
+// Browsers without IndexedDB (or with it blocked) fall back to the single localStorage blob.
+
+const DB_VERSION = 3;
+const KEYED = ["task_overrides", "new_tasks", "recurrence_overrides", "trash"];
+const LOGS = ["completion_log", "move_log", "change_log"];
+const LOCAL_LOG_LIMIT = 400; // keeps the localStorage blob small
+
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+function req(r) {
+  return new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+async function estimate() {
+  try {
+    const e = await navigator.storage?.estimate?.();
+    return e ? { usage: e.usage || 0, quota: e.quota || 0 } : null;
+  } catch {
+    return null;
+  }
+}
+
+function readLegacy(key) {
+  const text = localStorage.getItem(key);
+  return text ? JSON.parse(text) : null;
+}
+
+function keepUnreadable(key, raw) {
+  try {
+    localStorage.setItem(`${key}_unreadable`, JSON.stringify(raw));
+  } catch {
+    // Nothing more we can do; the original is still where it was
+  }
+}
+
+/* ---------- localStorage backend ---------- */
+function localBackend(key) {
+  return {
+    kind: "localStorage",
+    logLimit: LOCAL_LOG_LIMIT,
+    async load() {
+      return { raw: readLegacy(key), source: "localStorage" };
+    },
+    async save(overlays) {
+      localStorage.setItem(key, JSON.stringify(overlays));
+    },
+    async replace(overlays) {
+      localStorage.setItem(key, JSON.stringify(overlays));
+    },
+    dropLegacy() {},
+    keepUnreadable: (raw) => keepUnreadable(key, raw),
+    estimate
+  };
+}
+
+/* ---------- IndexedDB backend ---------- */
+function openDb(name) {
+  const open = indexedDB.open(name, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    for (const s of KEYED) if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
+    for (const s of LOGS) if (!db.objectStoreNames.contains(s)) db.createObjectStore(s, { autoIncrement: true });
+  };
+  return req(open);
+}
+
+// Split an overlay object into the records each store holds
+function split(overlays) {
+  const records = {
+    task_overrides: new Map(),
+    new_tasks: new Map(),
+    recurrence_overrides: new Map(),
+    trash: new Map()
+  };
+  const o = overlays || {};
+  for (const [id, patch] of Object.entries(isObj(o.task_overrides) ? o.task_overrides : {})) records.task_overrides.set(id, patch);
+  const order = [];
+  for (const t of Array.isArray(o.new_tasks) ? o.new_tasks : []) {
+    if (!t || !t.id) continue;
+    order.push(t.id);
+    records.new_tasks.set(t.id, t);
+  }
+  for (const [id, ro] of Object.entries(isObj(o.recurrence_overrides) ? o.recurrence_overrides : {})) records.recurrence_overrides.set(id, ro);
+  for (const [id, entry] of Object.entries(isObj(o.trash) ? o.trash : {})) records.trash.set(id, entry);
+
+  const learning = isObj(o.learning) ? o.learning : {};
+  const meta = {
+    ...o,
+    task_overrides: undefined,
+    new_tasks: undefined,
+    recurrence_overrides: undefined,
+    trash: undefined,
+    new_task_order: order,
+    learning: { ...learning, completion_log: undefined, move_log: undefined, change_log: undefined }
+  };
+  const logs = {};
+  for (const name of LOGS) logs[name] = Array.isArray(learning[name]) ? learning[name] : [];
+  return { meta: JSON.parse(JSON.stringify(meta)), records, logs };
+}
+
+function idbBackend(db, key) {
+  // What is on disk, as JSON strings, so each save writes only the difference
+  let written = { meta: null, records: Object.fromEntries(KEYED.map((s) => [s, new Map()])) };
+  const logState = Object.fromEntries(LOGS.map((s) => [s, { count: 0, last: null }]));
+  let queue = Promise.resolve();
+
+  function remember(parts) {
+    written = {
+      meta: JSON.stringify(parts.meta),
+      records: Object.fromEntries(
+        KEYED.map((s) => [s, new Map(Array.from(parts.records[s], ([id, v]) => [id, JSON.stringify(v)]))])
+      )
+    };
+    for (const name of LOGS) {
+      const arr = parts.logs[name];
+      logState[name] = { count: arr.length, last: arr.length ? JSON.stringify(arr[arr.length - 1]) : null };
+    }
+  }
+
+  // Build the write operations synchronously so later saves diff against the right state
+  function plan(overlays) {
+    const parts = split(overlays);
+    const ops = [];
+    const metaJson = JSON.stringify(parts.meta);
+    if (metaJson !== written.meta) ops.push({ store: "meta", put: parts.meta, key: "overlays" });
+    for (const s of KEYED) {
+      const before = written.records[s];
+      for (const [id, v] of parts.records[s]) {
+        if (before.get(id) !== JSON.stringify(v)) ops.push({ store: s, put: v, key: id });
+      }
+      for (const id of before.keys()) if (!parts.records[s].has(id)) ops.push({ store: s, del: id });
+    }
+    for (const name of LOGS) {
+      const arr = parts.logs[name];
+      const { count, last } = logState[name];
+      const appendOnly = arr.length >= count && (count === 0 || JSON.stringify(arr[count - 1]) === last);
+      if (appendOnly) {
+        arr.slice(count).forEach((e) => ops.push({ store: name, add: e }));
+      } else {
+        // Logs were replaced (import, merge, reset): rewrite them
+        ops.push({ store: name, clear: true });
+        arr.forEach((e) => ops.push({ store: name, add: e }));
+      }
+    }
+    remember(parts);
+    return ops;
+  }
+
+  async function run(ops) {
+    if (!ops.length) return;
+    const stores = Array.from(new Set(ops.map((o) => o.store)));
+    const tx = db.transaction(stores, "readwrite");
+    for (const op of ops) {
+      const st = tx.objectStore(op.store);
+      if (op.clear) st.clear();
+      else if (op.del !== undefined) st.delete(op.del);
+      else if (op.add !== undefined) st.add(op.add);
+      else st.put(op.put, op.key);
+    }
+    await done(tx);
+  }
+
+  return {
+    kind: "indexeddb",
+    logLimit: Infinity,
+    async load() {
+      const tx = db.transaction(["meta", ...KEYED, ...LOGS], "readonly");
+      const meta = await req(tx.objectStore("meta").get("overlays"));
+      if (!meta) {
+        // First run on IndexedDB: hand back the old localStorage blob for migration
+        return { raw: readLegacy(key), source: "localStorage" };
+      }
+      const raw = { ...meta, learning: { ...(meta.learning || {}) } };
+      const order = Array.isArray(meta.new_task_order) ? meta.new_task_order : [];
+      delete raw.new_task_order;
+
+      for (const s of KEYED) {
+        const [keys, values] = await Promise.all([req(tx.objectStore(s).getAllKeys()), req(tx.objectStore(s).getAll())]);
+        const map = new Map(keys.map((k, i) => [k, values[i]]));
+        if (s === "new_tasks") {
+          const ids = order.filter((id) => map.has(id)).concat(keys.filter((k) => !order.includes(k)));
+          raw.new_tasks = ids.map((id) => map.get(id));
+        } else {
+          raw[s] = Object.fromEntries(map);
+        }
+      }
+      for (const name of LOGS) raw.learning[name] = await req(tx.objectStore(name).getAll());
+      remember(split(raw));
+      return { raw, source: "indexeddb" };
+    },
+    save(overlays) {
+      const ops = plan(overlays);
+      queue = queue.then(() => run(ops));
+      return queue;
+    },
+    replace(overlays) {
+      const parts = split(overlays);
+      const ops = [{ store: "meta", put: parts.meta, key: "overlays" }];
+      for (const s of KEYED) {
+        ops.push({ store: s, clear: true });
+        for (const [id, v] of parts.records[s]) ops.push({ store: s, put: v, key: id });
+      }
+      for (const name of LOGS) {
+        ops.push({ store: name, clear: true });
+        parts.logs[name].forEach((e) => ops.push({ store: name, add: e }));
+      }
+      remember(parts);
+      queue = queue.then(() => run(ops));
+      return queue;
+    },
+    // Called once the migrated copy is safely in IndexedDB
+    dropLegacy() {
+      localStorage.removeItem(key);
+    },
+    keepUnreadable: (raw) => keepUnreadable(key, raw),
+    estimate
+  };
+}
+
+/**
+ * Open the best available backend for an overlay key.
+ * Every backend offers load() → { raw, source }, save(overlays), replace(overlays),
+ * dropLegacy(), keepUnreadable(raw), estimate() and a `logLimit` for the learning logs.
+ */
+export async function openStorage(key) {
+  if (typeof indexedDB === "undefined") return localBackend(key);
+  try {
+    return idbBackend(await openDb(key), key);
+  } catch {
+    // Private browsing modes may refuse IndexedDB
+    return localBackend(key);
+  }
+}
@@ -0,0 +1,115 @@
+// Reference sync server for overlays. No dependencies:
+//
+//   node sync-server.js            # http://localhost:8787, data in ./sync-data.json
+//   PORT=9000 SYNC_FILE=/srv/noobi.json SYNC_TOKEN=secret node sync-server.js
+//
+// Needs a Node version that runs ES modules from .js files (20.19+ or 22+).
+//
+//   GET  /overlays            → { rev, overlays }
+//   GET  /changes?since=N     → { rev, changes: [{ rev, at, delta }] }   (410 if N is older than the kept history)
+//   POST /changes             { base_rev, delta } → { rev }             (409 + { rev } if base_rev is not current)
+
+import http from "node:http";
+import fs from "node:fs";
+import { applyDelta } from "./sync.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const FILE = process.env.SYNC_FILE || new URL("./sync-data.json", import.meta.url).pathname;
+const TOKEN = process.env.SYNC_TOKEN || "";
+const KEEP_CHANGES = 500; // older clients fall back to a full fetch
+const MAX_BODY = 10 * 1024 * 1024;
+
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(FILE, "utf8"));
+  } catch {
+    return { rev: 0, overlays: null, changes: [], first_rev: 1 };
+  }
+}
+
+let db = load();
+
+function persist() {
+  const tmp = `${FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db));
+  fs.renameSync(tmp, FILE);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS"
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) {
+        reject(new Error("Body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Unauthorized" });
+
+  const url = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET" && url.pathname === "/overlays") {
+    return send(res, 200, { rev: db.rev, overlays: db.overlays });
+  }
+
+  if (req.method === "GET" && url.pathname === "/changes") {
+    const since = Number(url.searchParams.get("since")) || 0;
+    if (since < db.first_rev - 1) return send(res, 410, { rev: db.rev, error: "History compacted" });
+    return send(res, 200, { rev: db.rev, changes: db.changes.filter((c) => c.rev > since) });
+  }
+
+  if (req.method === "POST" && url.pathname === "/changes") {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (e) {
+      return send(res, 400, { error: e.message });
+    }
+    if (!body.delta || typeof body.delta !== "object") return send(res, 400, { error: "Missing delta" });
+    if (Number(body.base_rev) !== db.rev) return send(res, 409, { rev: db.rev, error: "Out of date; pull first" });
+
+    const rev = db.rev + 1;
+    db.overlays = applyDelta(db.overlays || {}, body.delta);
+    db.changes.push({ rev, at: new Date().toISOString(), delta: body.delta });
+    if (db.changes.length > KEEP_CHANGES) {
+      db.changes = db.changes.slice(-KEEP_CHANGES);
+      db.first_rev = db.changes[0].rev;
+    }
+    db.rev = rev;
+    persist();
+    return send(res, 200, { rev });
+  }
+
+  send(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Overlay sync server on http://localhost:${PORT} (data: ${FILE})`);
+});
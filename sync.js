@@ -0,0 +1,224 @@
+// Overlay sync with a self-hosted endpoint (see sync-server.js).
+// Clients exchange deltas, not whole files: each push carries the records that changed since the
+// last sync plus newly appended log entries. Unsynced changes are simply the difference between
+// the local overlays and the last synced snapshot, so they survive reloads and offline periods.
+
+import { same, mergeOverlays } from "./merge.js";
+
+const SECTIONS = ["task_overrides", "new_tasks", "recurrence_overrides", "trash", "override_base", "capacity"];
+const LOGS = ["completion_log", "move_log", "change_log"];
+
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+const clone = (x) => JSON.parse(JSON.stringify(x));
+
+function section(o, name) {
+  if (name === "new_tasks") return Object.fromEntries((o?.new_tasks || []).filter((t) => t && t.id).map((t) => [t.id, t]));
+  return isObj(o?.[name]) ? o[name] : {};
+}
+
+function logKey(e) {
+  return `${e?.id}|${e?.at}|${e?.field ?? ""}|${e?.reason ?? ""}|${e?.completed ?? ""}`;
+}
+
+// Overlays without learning logs: the logs travel as append-only streams
+export function withoutLogs(o) {
+  const learning = { ...(o.learning || {}) };
+  for (const name of LOGS) learning[name] = [];
+  return { ...o, learning };
+}
+
+/**
+ * Changes from `prev` (last synced, logs stripped) to `next`, plus log entries newer than `sinceISO`.
+ * Log entries merged in from elsewhere may be sent again; applyDelta skips duplicates.
+ * Returns null when nothing changed.
+ */
+export function diffOverlays(prev, next, sinceISO = null) {
+  const delta = { set: {}, logs: {} };
+  let changed = false;
+  for (const name of SECTIONS) {
+    const a = section(prev, name);
+    const b = section(next, name);
+    for (const id of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (same(a[id], b[id])) continue;
+      (delta.set[name] ||= {})[id] = b[id] === undefined ? null : b[id];
+      changed = true;
+    }
+  }
+  if (!same(prev?.deletions || [], next.deletions || [])) {
+    delta.deletions = next.deletions || [];
+    changed = true;
+  }
+  if (!same(prev?.learning?.stats, next.learning?.stats)) {
+    delta.stats = next.learning?.stats || {};
+    changed = true;
+  }
+  for (const name of LOGS) {
+    const fresh = (next.learning?.[name] || []).filter((e) => !sinceISO || (e?.at || "") > sinceISO);
+    if (fresh.length) {
+      delta.logs[name] = fresh;
+      changed = true;
+    }
+  }
+  if (prev?.version !== next.version) delta.version = next.version;
+  return changed ? delta : null;
+}
+
+// Apply a delta; used by the client (to rebuild the remote state) and by the server
+export function applyDelta(overlays, delta) {
+  const o = clone(overlays || {});
+  for (const [name, records] of Object.entries(delta.set || {})) {
+    if (name === "new_tasks") {
+      const list = Array.isArray(o.new_tasks) ? o.new_tasks : [];
+      const byId = new Map(list.map((t, i) => [t.id, i]));
+      for (const [id, value] of Object.entries(records)) {
+        if (value === null) continue;
+        if (byId.has(id)) list[byId.get(id)] = value;
+        else list.push(value);
+      }
+      o.new_tasks = list.filter((t) => records[t.id] !== null);
+      continue;
+    }
+    if (!isObj(o[name])) o[name] = {};
+    for (const [id, value] of Object.entries(records)) {
+      if (value === null) delete o[name][id];
+      else o[name][id] = value;
+    }
+  }
+  if (delta.deletions) o.deletions = delta.deletions.slice();
+  if (!isObj(o.learning)) o.learning = {};
+  if (delta.stats) o.learning.stats = { ...delta.stats };
+  for (const [name, entries] of Object.entries(delta.logs || {})) {
+    const log = Array.isArray(o.learning[name]) ? o.learning[name] : [];
+    const seen = new Set(log.map(logKey));
+    for (const e of entries) if (!seen.has(logKey(e))) log.push(e);
+    o.learning[name] = log;
+  }
+  if (delta.version !== undefined) o.version = Math.max(o.version || 0, delta.version);
+  o.updated_at = new Date().toISOString();
+  return o;
+}
+
+function defaultSyncState() {
+  return { rev: 0, synced: null, log_mark: null, last_sync_at: null };
+}
+
+/**
+ * Sync client for one overlay key. Its own bookkeeping (revision, last synced snapshot, time of the
+ * last push for log entries) lives in localStorage under `${key}_sync`.
+ *
+ * run(local) pulls remote changes, merges them with `local` and pushes what is left. It resolves to
+ * { status: "ok" | "offline" | "conflict" | "error", overlays?, conflicts?, merged?, pending, commit }.
+ * Nothing is remembered until the caller applies the result and calls commit(); push() follows.
+ */
+export function createSyncClient({ endpoint, token = "", key }) {
+  const stateKey = `${key}_sync`;
+  const base = endpoint.replace(/\/+$/, "");
+
+  const load = () => {
+    try {
+      return { ...defaultSyncState(), ...JSON.parse(localStorage.getItem(stateKey) || "{}") };
+    } catch {
+      return defaultSyncState();
+    }
+  };
+  const save = (s) => localStorage.setItem(stateKey, JSON.stringify(s));
+
+  async function call(method, path, body) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    return { status: res.status, data };
+  }
+
+  // Remote overlays as of the latest revision, built from the snapshot plus the deltas since
+  async function pull(s) {
+    const res = await call("GET", `/changes?since=${s.rev}`);
+    if (res.status === 200 && s.synced) {
+      let remote = s.synced;
+      for (const c of res.data.changes || []) remote = applyDelta(remote, c.delta);
+      return { rev: res.data.rev, remote, changed: (res.data.changes || []).length > 0 };
+    }
+    if (res.status === 200 || res.status === 410) {
+      // First sync, or the server compacted its history: fetch the whole document
+      const full = await call("GET", "/overlays");
+      if (full.status !== 200) throw new Error(`Sync server answered ${full.status}`);
+      return { rev: full.data.rev, remote: full.data.overlays || null, changed: true };
+    }
+    throw new Error(res.data?.error || `Sync server answered ${res.status}`);
+  }
+
+  function pendingCount(s, local) {
+    const delta = diffOverlays(s.synced || {}, local, s.log_mark);
+    if (!delta) return 0;
+    return (
+      Object.values(delta.set).reduce((n, recs) => n + Object.keys(recs).length, 0) +
+      Object.values(delta.logs).reduce((n, l) => n + l.length, 0) +
+      (delta.deletions ? 1 : 0)
+    );
+  }
+
+  async function run(current) {
+    const local = clone(current); // the caller keeps editing while we wait on the network
+    const s = load();
+    const pending = pendingCount(s, local);
+    let pulled;
+    try {
+      pulled = await pull(s);
+    } catch (e) {
+      const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+      return { status: offline || e instanceof TypeError ? "offline" : "error", error: String(e.message || e), pending };
+    }
+
+    let next = local;
+    let conflicts = [];
+    if (pulled.changed && pulled.remote) {
+      // Ancestor = last synced state; on first sync every difference is decided by timestamps
+      const result = mergeOverlays(s.synced, local, pulled.remote);
+      next = result.merged;
+      conflicts = result.conflicts;
+    }
+
+    // The caller applied the result: the server state becomes the new sync base
+    const commit = () => {
+      save({ ...s, rev: pulled.rev, synced: pulled.remote ? withoutLogs(pulled.remote) : s.synced });
+    };
+
+    if (conflicts.length) {
+      return { status: "conflict", merged: next, conflicts, pending, commit };
+    }
+    return { status: "ok", overlays: next, changed: next !== local, pending, commit };
+  }
+
+  // Send everything not yet on the server. Resolves to { status, rev }; "stale" means pull again.
+  async function push(current) {
+    const local = clone(current);
+    const s = load();
+    const delta = diffOverlays(s.synced || {}, local, s.log_mark);
+    if (!delta) return { status: "ok", rev: s.rev };
+    const startedAt = new Date().toISOString();
+    let res;
+    try {
+      res = await call("POST", "/changes", { base_rev: s.rev, delta });
+    } catch (e) {
+      return { status: "offline", error: String(e.message || e) };
+    }
+    if (res.status === 409) return { status: "stale", rev: res.data.rev };
+    if (res.status !== 200) return { status: "error", error: res.data?.error || `HTTP ${res.status}` };
+    save({ ...s, rev: res.data.rev, synced: withoutLogs(clone(local)), log_mark: startedAt, last_sync_at: startedAt });
+    return { status: "ok", rev: res.data.rev };
+  }
+
+  return {
+    run,
+    push,
+    pending: (local) => pendingCount(load(), local),
+    lastSyncAt: () => load().last_sync_at,
+    reset: () => localStorage.removeItem(stateKey)
+  };
+}
@@ -0,0 +1,33 @@
+// Run with: node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CSV_FIELDS, parseCsv, rowsToItems, toCsv } from "../csv.js";
+
+const mappingFor = (headers) => headers.map((h) => CSV_FIELDS.find((f) => f.label === h)?.key || null);
+
+test("priorities use the tasks.json scale", () => {
+  const rows = ["1", "p2", "P3", "4", "high", "Medium", "low", "h", ""].map((v) => [v]);
+  const out = rowsToItems(rows, ["priority"], {}).map((r) => r.item.priority);
+  assert.deepEqual(out, [1, 2, 3, 4, 1, 2, 3, 1, null]);
+});
+
+test("unrecognised priorities are a row problem", () => {
+  const [r] = rowsToItems([["T", "urgent-ish"]], ["title", "priority"], {});
+  assert.equal(r.item.priority, null);
+  assert.deepEqual(r.problems, ['Priority "urgent-ish" not recognised']);
+});
+
+test("quoted cells keep delimiters, quotes and line breaks", () => {
+  const [headers, ...rows] = parseCsv('Title,Notes\r\n"a, b","say ""hi""\nagain"\r\n');
+  assert.deepEqual(headers, ["Title", "Notes"]);
+  assert.deepEqual(rows, [["a, b", 'say "hi"\nagain']]);
+});
+
+test("export reads back to the same fields", () => {
+  const task = { id: "OPS-001", title: "Budget, draft 2", status: "completed", priority: 2, due_date: "2026-03-05", notes: 'Line 1\n"quoted"' };
+  const text = toCsv([task], (it, key) => it[key] ?? "");
+  const [headers, ...rows] = parseCsv(text);
+  const [r] = rowsToItems(rows, mappingFor(headers), { dateFormats: { due_date: "YYYY-MM-DD" } });
+  assert.deepEqual(r.problems, []);
+  for (const k of ["id", "title", "status", "priority", "due_date", "notes"]) assert.equal(r.item[k], task[k], k);
+});
@@ -0,0 +1,40 @@
+// Run with: node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar, expandRrule, parseCalendar } from "../ics.js";
+
+const build = (opts) => buildCalendar({ todayISO: "2026-01-10", now: new Date("2026-01-10T08:00:00Z"), ...opts });
+
+test("tasks and events read back with their text intact", () => {
+  const title = "Budget; draft, v2 \\ final — with a title long enough to need folding at 75 octets";
+  const { text, counts } = build({
+    items: [
+      { id: "OPS-001", type: "task", title, due_date: "2026-02-03", notes: "Line 1\nLine 2" },
+      { id: "EVT-001", type: "event", title: "Board meeting", start_date: "2026-02-10" },
+      { id: "OPS-002", type: "task", title: "No date" }
+    ]
+  });
+  assert.deepEqual(counts, { events: 1, todos: 1, series: 0 });
+  assert.ok(text.split("\r\n").every((l) => new TextEncoder().encode(l).length <= 75));
+
+  const entries = parseCalendar(text);
+  const todo = entries.find((e) => e.kind === "VTODO");
+  const event = entries.find((e) => e.kind === "VEVENT");
+  assert.equal(todo.title, title);
+  assert.match(todo.description, /Line 1\nLine 2/);
+  assert.equal(todo.end.date, "2026-02-03");
+  assert.equal(event.title, "Board meeting");
+  assert.equal(event.start.date, "2026-02-10");
+});
+
+test("monthly rules on the 30th fall back to the last day of short months", () => {
+  const { text } = build({ rules: [{ id: "REC-001", title: "Payroll", frequency: "MONTHLY", day_of_month: 30, start_date: "2026-01-30" }] });
+  const [series] = parseCalendar(text);
+  assert.ok(series.rrule);
+  const dates = expandRrule(series.start.date, series.rrule, { fromISO: "2026-01-01", toISO: "2026-04-30" });
+  assert.deepEqual(dates, ["2026-01-30", "2026-02-28", "2026-03-30", "2026-04-30"]);
+});
+
+test("text that is not a calendar throws", () => {
+  assert.throws(() => parseCalendar("Title,Due\r\nA,2026-01-01\r\n"), /Not an iCalendar file/);
+});
@@ -0,0 +1,109 @@
+// Run with: node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeOverlays, rebaseOverlays, resolveConflicts } from "../merge.js";
+import { defaultOverlays } from "../overlays.js";
+
+function overlays(at, fill = () => {}) {
+  const o = defaultOverlays();
+  o.updated_at = at;
+  fill(o);
+  return o;
+}
+
+const base = overlays("2026-01-01T00:00:00Z", (o) => {
+  o.task_overrides["OPS-001"] = { title: "Budget" };
+});
+
+test("fields changed on one side only merge without conflicts", () => {
+  const local = overlays("2026-01-02T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Budget", status: "completed" };
+  });
+  const remote = overlays("2026-01-03T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Budget v2" };
+    o.new_tasks.push({ id: "temp_1", title: "New" });
+  });
+  const { merged, conflicts } = mergeOverlays(base, local, remote);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged.task_overrides["OPS-001"], { title: "Budget v2", status: "completed" });
+  assert.deepEqual(merged.new_tasks.map((t) => t.id), ["temp_1"]);
+});
+
+test("both sides changing a field is a conflict; the newer side is picked by default", () => {
+  const local = overlays("2026-01-02T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Mine" };
+  });
+  const remote = overlays("2026-01-03T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Theirs" };
+  });
+  const { merged, conflicts } = mergeOverlays(base, local, remote);
+  assert.equal(conflicts.length, 1);
+  assert.deepEqual(conflicts[0].path, ["task_overrides", "OPS-001", "title"]);
+  assert.equal(conflicts[0].pick, "remote");
+  assert.equal(merged.task_overrides["OPS-001"].title, "Theirs");
+
+  const resolved = resolveConflicts(merged, [{ ...conflicts[0], pick: "local" }]);
+  assert.equal(resolved.task_overrides["OPS-001"].title, "Mine");
+});
+
+test("deletions win over untouched overrides and logs are unioned", () => {
+  const local = overlays("2026-01-02T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Budget" };
+    o.learning.completion_log.push({ id: "OPS-002", at: "2026-01-02T09:00:00Z", completed: true });
+  });
+  const remote = overlays("2026-01-03T00:00:00Z", (o) => {
+    o.deletions.push("OPS-001");
+    o.learning.completion_log.push({ id: "OPS-003", at: "2026-01-02T10:00:00Z", completed: true });
+  });
+  const { merged, conflicts } = mergeOverlays(base, local, remote);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged.deletions, ["OPS-001"]);
+  assert.equal(merged.task_overrides["OPS-001"], undefined);
+  assert.deepEqual(merged.learning.completion_log.map((e) => e.id), ["OPS-002", "OPS-003"]);
+});
+
+test("without a shared base every difference is a conflict", () => {
+  const local = overlays("2026-01-02T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Mine" };
+  });
+  const remote = overlays("2026-01-01T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Theirs" };
+  });
+  const { merged, conflicts } = mergeOverlays(null, local, remote);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].pick, "local");
+  assert.equal(merged.task_overrides["OPS-001"].title, "Mine");
+});
+
+test("rebasing an undo step keeps pulled edits and drops later local ones", () => {
+  const step = overlays("2026-01-01T00:00:00Z");
+  const before = overlays("2026-01-02T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { status: "completed" };
+    o.learning.completion_log.push({ id: "OPS-001", at: "2026-01-02T09:00:00Z", completed: true });
+  });
+  const pulled = overlays("2026-01-03T00:00:00Z", (o) => {
+    o.task_overrides = structuredClone(before.task_overrides);
+    o.task_overrides["OPS-002"] = { title: "Theirs" };
+    o.learning.completion_log = structuredClone(before.learning.completion_log);
+    o.learning.change_log.push({ id: "OPS-002", field: "title", at: "2026-01-03T09:00:00Z" });
+  });
+  const { overlays: rebased, conflicts } = rebaseOverlays(before, pulled, step);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(rebased.task_overrides, { "OPS-002": { title: "Theirs" } });
+  assert.deepEqual(rebased.learning.completion_log, []);
+  assert.deepEqual(rebased.learning.change_log.map((e) => e.id), ["OPS-002"]);
+});
+
+test("rebasing reports fields both the step and the pull changed", () => {
+  const step = overlays("2026-01-01T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Old" };
+  });
+  const before = overlays("2026-01-02T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Mine" };
+  });
+  const pulled = overlays("2026-01-03T00:00:00Z", (o) => {
+    o.task_overrides["OPS-001"] = { title: "Theirs" };
+  });
+  const { conflicts } = rebaseOverlays(before, pulled, step);
+  assert.deepEqual(conflicts.map((c) => c.path), [["task_overrides", "OPS-001", "title"]]);
+});
@@ -0,0 +1,47 @@
+// Run with: node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { publishBase, publishedOverlays } from "../publish.js";
+import { defaultOverlays } from "../overlays.js";
+
+const base = {
+  meta: { version: "2026.01.05-01", last_updated: "2026-01-05" },
+  recurrence_rules: [{ id: "REC-001", title: "Check-in", frequency: "WEEKLY", day_of_week: "Monday" }],
+  tasks: [
+    { id: "OPS-001", title: "Budget", pillar: "OPS" },
+    { id: "OPS-002", title: "Old", pillar: "OPS" }
+  ],
+  events: []
+};
+
+function localEdits() {
+  const o = defaultOverlays();
+  o.task_overrides["OPS-001"] = { title: "Budget v2" };
+  o.deletions.push("OPS-002");
+  o.trash["OPS-002"] = { item: base.tasks[1], deleted_at: "2026-01-06T00:00:00Z" };
+  o.new_tasks.push({ id: "temp_1", title: "New", pillar: "OPS", dependencies: ["OPS-001"] });
+  o.recurrence_overrides["REC-001"] = { enabled: false, occurrences: { "2026-01-12": { status: "skipped" } } };
+  o.learning.completion_log.push({ id: "temp_1", at: "2026-01-06T09:00:00Z", completed: true });
+  return o;
+}
+
+test("publishing folds edits, numbers new items and bumps the version", () => {
+  const { data, idMap, report } = publishBase(base, localEdits(), { todayISO: "2026-01-06" });
+  assert.equal(data.meta.version, "2026.01.06-01");
+  assert.deepEqual(data.tasks.map((t) => [t.id, t.title]), [["OPS-001", "Budget v2"], ["OPS-003", "New"]]);
+  assert.equal(idMap.get("temp_1"), "OPS-003");
+  assert.equal(data.recurrence_rules[0].enabled, false);
+  assert.deepEqual(report, { updated: 1, added: 1, deleted: 1, rules: 1, droppedOccurrences: 1 });
+});
+
+test("after publishing only local-only state stays in the overlays", () => {
+  const o = localEdits();
+  const { idMap } = publishBase(base, o, { todayISO: "2026-01-06" });
+  const left = publishedOverlays(base, o, idMap);
+  assert.deepEqual(left.task_overrides, {});
+  assert.deepEqual(left.new_tasks, []);
+  assert.deepEqual(left.deletions, []);
+  assert.deepEqual(left.trash, {});
+  assert.deepEqual(left.recurrence_overrides, { "REC-001": { occurrences: { "2026-01-12": { status: "skipped" } } } });
+  assert.deepEqual(left.learning.completion_log.map((e) => e.id), ["OPS-003"]);
+});
@@ -0,0 +1,175 @@
+// Load-time validation for tasks.json.
+// Returns a normalized copy of the base plus a flat list of issues for the diagnostics panel.
+
+const PRIORITY_WORDS = {
+  critical: 1,
+  urgent: 1,
+  high: 1,
+  medium: 2,
+  normal: 2,
+  med: 2,
+  low: 3,
+  lowest: 4,
+  someday: 4
+};
+const FREQUENCIES = new Set(["WEEKLY", "BIWEEKLY", "MONTHLY"]);
+const DAYS = new Set(["MONDAY", "TUESDAY", "WEDNESDAY", "THURSDAY", "FRIDAY", "SATURDAY", "SUNDAY"]);
+
+/**
+ * Map a priority in any shipped form ("high", "P2", "3", 1) onto 1-4.
+ * Returns null for empty values and undefined for values that cannot be read.
+ */
+export function normalizePriority(p) {
+  if (p === null || p === undefined || p === "") return null;
+  if (typeof p === "number") return Number.isInteger(p) && p >= 1 && p <= 4 ? p : undefined;
+  const v = String(p).toLowerCase().trim();
+  if (v in PRIORITY_WORDS) return PRIORITY_WORDS[v];
+  const m = v.match(/^p?([1-4])$/);
+  return m ? Number(m[1]) : undefined;
+}
+
+export function isValidISODate(s) {
+  if (typeof s !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function safeTitle(x) {
+  return (x.title ?? "").toString().trim();
+}
+
+// Pillar codes from base.pillars, or from meta.structure ("pillars: RR, ALUM, …")
+function knownPillars(base) {
+  if (Array.isArray(base.pillars) && base.pillars.length) {
+    return new Set(base.pillars.map((p) => p?.code || p?.id || p?.pillar).filter(Boolean));
+  }
+  const m = String(base.meta?.structure || "").match(/pillars?\s*:\s*(.+)$/i);
+  if (!m) return null;
+  return new Set(m[1].split(/[,;\s]+/).map((x) => x.trim()).filter(Boolean));
+}
+
+function findCycles(items) {
+  const byId = new Map(items.map((t) => [t.id, t]));
+  const state = new Map(); // id -> 1 visiting, 2 done
+  const cycles = [];
+  const visit = (id, path) => {
+    state.set(id, 1);
+    for (const dep of byId.get(id)?.dependencies || []) {
+      if (!byId.has(dep)) continue;
+      if (state.get(dep) === 1) cycles.push(path.slice(path.indexOf(dep)).concat(dep));
+      else if (!state.has(dep)) visit(dep, path.concat(dep));
+    }
+    state.set(id, 2);
+  };
+  for (const t of items) if (!state.has(t.id)) visit(t.id, [t.id]);
+  return cycles;
+}
+
+export function validateBase(raw) {
+  const issues = [];
+  const add = (level, code, id, message) => issues.push({ level, code, id: id || null, message });
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    add("error", "not_object", null, "tasks.json is not a JSON object.");
+    return { base: { tasks: [], events: [], recurrence_rules: [] }, issues };
+  }
+
+  const base = { ...raw };
+  for (const key of ["tasks", "events", "recurrence_rules", "owners"]) {
+    if (base[key] === undefined) continue;
+    if (!Array.isArray(base[key])) {
+      add("error", "not_array", null, `"${key}" must be an array; ignoring it.`);
+      base[key] = [];
+    }
+  }
+
+  const owners = new Set((base.owners || base.people || []).map((o) => o?.owner_id || o?.id).filter(Boolean));
+  const pillars = knownPillars(base);
+  const clusters = base.meta?.clusters && typeof base.meta.clusters === "object" ? base.meta.clusters : null;
+
+  const seen = new Map();
+  const checkId = (x, kind, idx) => {
+    if (!x || typeof x !== "object") {
+      add("error", "bad_item", null, `${kind}[${idx}] is not an object and is ignored.`);
+      return false;
+    }
+    if (!x.id) {
+      add("error", "missing_id", null, `${kind}[${idx}] "${x.title || "untitled"}" has no id and is ignored.`);
+      return false;
+    }
+    if (seen.has(x.id)) add("error", "duplicate_id", x.id, `Duplicate id ${x.id} (also in ${seen.get(x.id)}).`);
+    else seen.set(x.id, kind);
+    return true;
+  };
+
+  const checkItem = (x, kind) => {
+    const out = { ...x };
+    if (!safeTitle(x)) add("warn", "missing_title", x.id, `${x.id} has no title.`);
+
+    if (x.priority !== undefined) {
+      const p = normalizePriority(x.priority);
+      if (p === undefined) {
+        add("warn", "bad_priority", x.id, `${x.id}: priority "${x.priority}" is not 1-4; cleared.`);
+        out.priority = null;
+      } else if (p !== x.priority) {
+        add("info", "priority_normalized", x.id, `${x.id}: priority "${x.priority}" normalized to ${p}.`);
+        out.priority = p;
+      }
+    }
+
+    for (const f of ["start_date", "due_date"]) {
+      if (x[f] === null || x[f] === undefined || x[f] === "") continue;
+      if (!isValidISODate(x[f])) add("error", "bad_date", x.id, `${x.id}: ${f} "${x[f]}" is not a valid YYYY-MM-DD date.`);
+    }
+    if (isValidISODate(x.start_date) && isValidISODate(x.due_date) && x.start_date > x.due_date) {
+      add("warn", "start_after_due", x.id, `${x.id}: start ${x.start_date} is after due ${x.due_date}.`);
+    }
+
+    if (x.owner_id && owners.size && !owners.has(x.owner_id)) {
+      add("warn", "unknown_owner", x.id, `${x.id}: owner "${x.owner_id}" is not in owners.`);
+    }
+    for (const s of Array.isArray(x.support_owner_ids) ? x.support_owner_ids : []) {
+      if (owners.size && !owners.has(s)) add("warn", "unknown_support_owner", x.id, `${x.id}: support owner "${s}" is not in owners.`);
+    }
+    if (x.pillar && pillars && !pillars.has(x.pillar)) {
+      add("warn", "unknown_pillar", x.id, `${x.id}: pillar "${x.pillar}" is not a known pillar.`);
+    }
+    if (kind === "tasks" && x.cluster && clusters && !(x.cluster in clusters)) {
+      add("warn", "unknown_cluster", x.id, `${x.id}: cluster "${x.cluster}" is not in meta.clusters.`);
+    }
+    if (x.dependencies !== undefined && !Array.isArray(x.dependencies)) {
+      add("warn", "bad_dependencies", x.id, `${x.id}: dependencies must be an array; ignoring.`);
+      out.dependencies = [];
+    }
+    return out;
+  };
+
+  // Entries without an object shape or an id are reported and dropped
+  base.tasks = (base.tasks || []).filter((t, i) => checkId(t, "tasks", i)).map((t) => checkItem(t, "tasks"));
+  base.events = (base.events || []).filter((e, i) => checkId(e, "events", i)).map((e) => checkItem(e, "events"));
+  base.recurrence_rules = (base.recurrence_rules || []).filter((r, i) => checkId(r, "recurrence_rules", i)).map((r) => {
+    const out = checkItem(r, "recurrence_rules");
+    if (!FREQUENCIES.has(String(r.frequency || "").toUpperCase())) {
+      add("warn", "bad_frequency", r.id, `${r.id}: frequency "${r.frequency || ""}" is not WEEKLY, BIWEEKLY or MONTHLY.`);
+    }
+    if (r.day_of_week && !DAYS.has(String(r.day_of_week).toUpperCase())) {
+      add("warn", "bad_day_of_week", r.id, `${r.id}: day_of_week "${r.day_of_week}" is not a weekday name.`);
+    }
+    return out;
+  });
+
+  // Dependencies need the full id set
+  const items = base.tasks.concat(base.events);
+  for (const t of items) {
+    for (const dep of t.dependencies || []) {
+      if (dep === t.id) add("warn", "self_dependency", t.id, `${t.id} depends on itself.`);
+      else if (!seen.has(dep)) add("warn", "dangling_dependency", t.id, `${t.id} depends on unknown id ${dep}.`);
+    }
+  }
+  for (const cycle of findCycles(items)) {
+    add("error", "dependency_cycle", cycle[0], `Dependency cycle: ${cycle.join(" → ")}.`);
+  }
+
+  return { base, issues };
+}
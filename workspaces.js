@@ -0,0 +1,64 @@
+// Workspaces: separate plans (base file, local overlays, AI reference) side by side on one device.
+// The default workspace is the original AS&T plan and keeps the original storage key, so existing
+// overlays carry over untouched.
+
+export const DEFAULT_WORKSPACE_ID = "default";
+const STORAGE_KEY = "ast_task_overrides_v1";
+
+export function defaultWorkspace() {
+  return {
+    id: DEFAULT_WORKSPACE_ID,
+    name: "AS&T",
+    base_url: "./tasks.json",
+    reference_url: "./ai/reference.json"
+  };
+}
+
+export function slugify(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+/**
+ * Clean list from prefs: the default workspace always comes first (a stored copy may rename it or
+ * point it elsewhere), ids are unique slugs and every entry has a base file.
+ */
+export function normalizeWorkspaces(list) {
+  const out = [];
+  const seen = new Set();
+  const stored = Array.isArray(list) ? list : [];
+  const def = stored.find((w) => w?.id === DEFAULT_WORKSPACE_ID) || {};
+  out.push({ ...defaultWorkspace(), ...pick(def), id: DEFAULT_WORKSPACE_ID });
+  seen.add(DEFAULT_WORKSPACE_ID);
+
+  for (const w of stored) {
+    if (!w || typeof w !== "object" || w.id === DEFAULT_WORKSPACE_ID) continue;
+    const ws = pick(w);
+    const id = slugify(w.id || w.name);
+    if (!id || seen.has(id) || !ws.base_url) continue;
+    seen.add(id);
+    out.push({ id, name: id, reference_url: "", ...ws });
+  }
+  return out;
+}
+
+function pick(w) {
+  const out = {};
+  for (const k of ["name", "base_url", "reference_url"]) {
+    if (typeof w[k] === "string" && (w[k].trim() || k === "reference_url")) out[k] = w[k].trim();
+  }
+  return out;
+}
+
+export function activeWorkspace(prefs) {
+  const list = normalizeWorkspaces(prefs?.workspaces);
+  return list.find((w) => w.id === prefs?.workspace) || list[0];
+}
+
+// Overlays (and everything derived from that key: merge base, sync state) per workspace
+export function storageKeyFor(id) {
+  return !id || id === DEFAULT_WORKSPACE_ID ? STORAGE_KEY : `${STORAGE_KEY}__${id}`;
+}